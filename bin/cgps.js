@@ -0,0 +1,509 @@
+#!/usr/bin/env node
+import { writeFile } from "node:fs/promises";
+import { createInterface } from "node:readline/promises";
+import { parseArgs } from "node:util";
+
+/**
+ * Exit codes of the CLI
+ */
+const EXIT_CODES = {
+    SUCCESS: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    UNSAFE: 3,
+};
+
+/**
+ * Options that set an environment variable read by `lib/constants.js`.
+ * They're applied before the library is imported, and take precedence over `.env`.
+ */
+const ENV_OPTIONS = {
+    "config": { type: "string", env: "CGPS_CONFIG", description: "Path of the profile configuration file" },
+    "account": { type: "string", multiple: true, env: "CGPS_ACCOUNT", description: "Only use this account of the configuration file, repeatable" },
+    "account-id": { type: "string", env: "CLOUDFLARE_ACCOUNT_ID", description: "Cloudflare account ID" },
+    "api-host": { type: "string", env: "CLOUDFLARE_API_HOST", description: "Base URL of the Cloudflare API" },
+    "list-item-limit": { type: "string", env: "CLOUDFLARE_LIST_ITEM_LIMIT", description: "Maximum number of list items" },
+    "blocklist": { type: "string", multiple: true, env: "BLOCKLIST_URLS", description: "Blocklist source, repeatable" },
+    "allowlist": { type: "string", multiple: true, env: "ALLOWLIST_URLS", description: "Allowlist source, repeatable" },
+    "lists-dir": { type: "string", env: "LISTS_DIR", description: "Directory of local lists" },
+    "block-page": { type: "boolean", env: "BLOCK_PAGE_ENABLED", description: "Show the block page" },
+    "sni": { type: "boolean", env: "BLOCK_BASED_ON_SNI", description: "Also filter based on SNI" },
+    "http": { type: "boolean", env: "BLOCK_BASED_ON_HTTP", description: "Block the URLs of path-specific rules with an HTTP rule" },
+    "publish-allowlist": { type: "boolean", env: "PUBLISH_ALLOWLIST", description: "Publish the allowlists as allow rules" },
+    "mode": { type: "string", env: "SYNC_MODE", description: "Sync mode: incremental or rollout" },
+    "rule-precedence": { type: "string", env: "RULE_PRECEDENCE", description: "Precedence of the block rules" },
+    "allow-rule-precedence": { type: "string", env: "ALLOW_RULE_PRECEDENCE", description: "Precedence of the allow rules" },
+    "fold-threshold": { type: "string", env: "FOLD_SUBDOMAINS_THRESHOLD", description: "Subdomains folded into their parent over the limit" },
+    "ip-share": { type: "string", env: "IP_LIST_SHARE", description: "Share of the item budget IP addresses may use, between 0 and 1" },
+    "url-share": { type: "string", env: "URL_LIST_SHARE", description: "Share of the item budget URLs may use, between 0 and 1" },
+    "regex-budget": { type: "string", env: "REGEX_RULE_BUDGET", description: "Characters the rules compiled from wildcard and regex rules may use, 0 to disable" },
+    "analytics": { type: "boolean", env: "GATEWAY_ANALYTICS", description: "Keep the domains queried on your network first" },
+    "analytics-hours": { type: "string", env: "GATEWAY_ANALYTICS_HOURS", description: "Hours of DNS queries counted" },
+    "dropped-report": { type: "string", env: "DROPPED_REPORT", description: "Write the dropped domains to this JSON file" },
+    "source-report": { type: "string", env: "SOURCE_REPORT", description: "Write the source report to this JSON file" },
+    "source-report-markdown": { type: "string", env: "SOURCE_REPORT_MARKDOWN", description: "Write the source report to this Markdown file" },
+    "cache-dir": { type: "string", env: "SOURCE_CACHE_DIR", description: "Directory of the source cache" },
+    "cache-max-age": { type: "string", env: "SOURCE_CACHE_MAX_AGE", description: "Maximum age in hours of cached sources used as fallback" },
+    "min-domains": { type: "string", env: "MIN_DOMAINS", description: "Abort if fewer domains would be blocked" },
+    "max-shrink": { type: "string", env: "MAX_SHRINK_PERCENT", description: "Abort if a profile would shrink by more percent" },
+    "require-all-sources": { type: "boolean", env: "REQUIRE_ALL_SOURCES", description: "Abort if any source fails" },
+    "force": { type: "boolean", env: "FORCE", description: "Apply changes even if the safety checks fail" },
+    "plan-output": { type: "string", env: "PLAN_OUTPUT", description: "Write the plan to this JSON file" },
+    "snapshot-dir": { type: "string", env: "SNAPSHOT_DIR", description: "Directory of the snapshots" },
+    "snapshot-retention": { type: "string", env: "SNAPSHOT_RETENTION", description: "Number of snapshots kept" },
+    "debug": { type: "boolean", env: "DEBUG", description: "Log API requests" },
+};
+
+const COMMANDS = {
+    sync: {
+        description: "Compile the filter lists and sync them to Cloudflare Gateway",
+        options: {},
+    },
+    plan: {
+        description: "Show what a sync would change without changing anything",
+        options: {},
+    },
+    status: {
+        description: "Show the rules and lists CGPS has deployed",
+        options: {
+            json: { type: "boolean", description: "Print JSON" },
+        },
+    },
+    delete: {
+        description: "Delete every CGPS rule and list",
+        options: {
+            yes: { type: "boolean", short: "y", description: "Don't ask for confirmation" },
+        },
+    },
+    export: {
+        description: "Compile the filter lists and print the domains without syncing",
+        options: {
+            output: { type: "string", short: "o", description: "Write to this file instead of stdout" },
+            profile: { type: "string", description: "Only export this profile, \"default\" without a configuration file" },
+            kind: { type: "string", description: "Kind of list: block (default), allow, ip or url" },
+            format: { type: "string", description: "Output format: domains (default), hosts or json" },
+        },
+    },
+    report: {
+        description: "Compile the filter lists and print what every source contributed",
+        options: {
+            json: { type: "boolean", description: "Print JSON" },
+        },
+    },
+    snapshot: {
+        description: "Save the deployed rules and lists to a snapshot file",
+        options: {
+            output: { type: "string", short: "o", description: "Write to this file instead of the snapshot directory" },
+            list: { type: "boolean", description: "List the saved snapshots instead" },
+        },
+    },
+    restore: {
+        description: "Restore the rules and lists saved in a snapshot, the newest one by default",
+        args: "[file]",
+        options: {
+            yes: { type: "boolean", short: "y", description: "Don't ask for confirmation" },
+        },
+    },
+};
+
+/**
+ * Thrown for invalid command lines.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+/**
+ * Builds the help text of the CLI or a command.
+ * @param {string} [command] The command.
+ * @returns {string}
+ */
+const getHelp = (command) => {
+    const formatOptions = (options) => Object.entries(options)
+        .map(([name, { type, short, description }]) => {
+            const flag = `${short ? `-${short}, ` : ""}--${name}${type === "string" ? " <value>" : ""}`;
+            return `  ${flag.padEnd(34)}${description}`;
+        })
+        .join("\n");
+
+    if (command) {
+        const { description, args, options } = COMMANDS[command];
+        const commandOptions = Object.keys(options).length ? `\nOptions:\n${formatOptions(options)}\n` : "";
+
+        return `Usage: cgps ${command} [options]${args ? ` ${args}` : ""}\n\n${description}\n${commandOptions}\n` +
+            `Settings:\n${formatOptions(ENV_OPTIONS)}\n`;
+    }
+
+    const commands = Object.entries(COMMANDS)
+        .map(([name, { description }]) => `  ${name.padEnd(10)}${description}`)
+        .join("\n");
+
+    return `Usage: cgps <command> [options]\n\nCommands:\n${commands}\n\n` +
+        `Run "cgps <command> --help" for the options of a command. Exit codes: ` +
+        `0 success, 1 failure, 2 invalid usage, 3 safety checks failed.\n`;
+};
+
+/**
+ * Parses the command line.
+ * @param {string[]} args The arguments after the executable and script.
+ * @returns {{command: string|undefined, values: Object, positionals: string[]}}
+ * @throws {UsageError} If the command line is invalid.
+ */
+const parseCommandLine = (args) => {
+    const [command, ...rest] = args;
+    if (command && !command.startsWith("-") && !COMMANDS[command]) {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+
+    const options = {
+        ...ENV_OPTIONS,
+        ...(COMMANDS[command]?.options ?? {}),
+        help: { type: "boolean", short: "h" },
+    };
+
+    try {
+        const { values, positionals } = parseArgs({
+            args: COMMANDS[command] ? rest : args,
+            options: Object.fromEntries(
+                Object.entries(options).map(([name, { type, short, multiple = false }]) => [
+                    name,
+                    short ? { type, short, multiple } : { type, multiple },
+                ])
+            ),
+            strict: true,
+            allowPositionals: true,
+        });
+
+        // Commands take one argument at most
+        if (positionals.length > (COMMANDS[command]?.args ? 1 : 0)) {
+            throw new Error(`Unexpected argument "${positionals.at(-1)}"`);
+        }
+        return { command: COMMANDS[command] ? command : undefined, values, positionals };
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+};
+
+/**
+ * Sets the environment variables of the given options.
+ * @param {Object} values The parsed options.
+ * @throws {UsageError} If an option has an invalid value.
+ */
+const applyEnvOptions = (values) => {
+    if (values.mode !== undefined && !["incremental", "rollout"].includes(values.mode)) {
+        throw new UsageError(`Invalid mode "${values.mode}": use incremental or rollout`);
+    }
+
+    for (const [name, { type, multiple, env }] of Object.entries(ENV_OPTIONS)) {
+        const value = values[name];
+        if (value === undefined) continue;
+
+        if (type === "boolean") {
+            process.env[env] = value ? "1" : "0";
+        } else if (multiple) {
+            process.env[env] = value.join("\n");
+        } else {
+            process.env[env] = value;
+        }
+    }
+};
+
+/**
+ * Asks the user to confirm an action.
+ * @param {string} question The question to ask.
+ * @returns {Promise<boolean>}
+ */
+const confirm = async (question) => {
+    const readline = createInterface({ input: process.stdin, output: process.stderr });
+
+    try {
+        const answer = await readline.question(`${question} [y/N] `);
+        return /^y(es)?$/i.test(answer.trim());
+    } finally {
+        readline.close();
+    }
+};
+
+/**
+ * Prints the deployed CGPS rules and lists.
+ * @param {Object} values The parsed options.
+ * @returns {Promise<number>} The exit code.
+ */
+const runStatus = async (values) => {
+    const { validateEnvironment } = await import("../lib/pipeline.js");
+    const { describeState, getCgpsState } = await import("../lib/sync.js");
+    const { getAccount } = await import("../lib/helpers.js");
+
+    validateEnvironment();
+    const profiles = describeState(await getCgpsState());
+
+    if (values.json) {
+        console.log(JSON.stringify(profiles, null, 2));
+        return EXIT_CODES.SUCCESS;
+    }
+
+    if (!Object.keys(profiles).length) {
+        console.log("Nothing deployed by CGPS.");
+        return EXIT_CODES.SUCCESS;
+    }
+
+    let totalItems = 0;
+    for (const [label, { rules, lists }] of Object.entries(profiles)) {
+        console.log(`Profile "${label}":`);
+        for (const { name, action, enabled, precedence, lists: listCount } of rules) {
+            console.log(
+                `  rule "${name}": ${action ?? "unknown action"}, ${enabled ? "enabled" : "disabled"}, ` +
+                `precedence ${precedence ?? "unset"}, ${listCount} lists`
+            );
+        }
+        for (const { name, count, live } of lists) {
+            console.log(`  list "${name}": ${count ?? "?"} items${live ? "" : ", not referenced by any rule"}`);
+            totalItems += count ?? 0;
+        }
+    }
+    console.log(`\n${totalItems} of ${getAccount().listItemLimit} list items used.`);
+
+    return EXIT_CODES.SUCCESS;
+};
+
+/**
+ * Deletes every CGPS rule and list.
+ * @param {Object} values The parsed options.
+ * @returns {Promise<number>} The exit code.
+ */
+const runDelete = async (values) => {
+    const { validateEnvironment } = await import("../lib/pipeline.js");
+    const { deleteCgpsState, getCgpsState } = await import("../lib/sync.js");
+
+    validateEnvironment();
+    const state = await getCgpsState();
+    const { cgpsRules, cgpsLists } = state;
+
+    if (!cgpsRules.length && !cgpsLists.length) {
+        console.log("Nothing deployed by CGPS.");
+        return EXIT_CODES.SUCCESS;
+    }
+
+    const question = `Delete ${cgpsRules.length} rules and ${cgpsLists.length} lists created by CGPS?`;
+    if (!values.yes) {
+        if (!process.stdin.isTTY) throw new UsageError(`${question} Pass --yes to confirm.`);
+        if (!(await confirm(question))) {
+            console.log("Aborted.");
+            return EXIT_CODES.FAILURE;
+        }
+    }
+
+    await deleteCgpsState(state);
+    return EXIT_CODES.SUCCESS;
+};
+
+/**
+ * Compiles the filter lists and prints or writes the domains.
+ * @param {Object} values The parsed options.
+ * @returns {Promise<number>} The exit code.
+ */
+const runExport = async (values) => {
+    const kind = values.kind ?? "block";
+    const format = values.format ?? "domains";
+    if (!["block", "allow", "ip", "url"].includes(kind)) throw new UsageError(`Invalid kind "${kind}": use block, allow, ip or url`);
+    if (!["domains", "hosts", "json"].includes(format)) {
+        throw new UsageError(`Invalid format "${format}": use domains, hosts or json`);
+    }
+    if (kind === "ip" && format === "hosts") throw new UsageError(`IPs can't be exported in the hosts format`);
+    if (kind === "url" && format === "hosts") throw new UsageError(`URLs can't be exported in the hosts format`);
+
+    // Keep stdout clean for the exported domains
+    if (!values.output) console.log = console.error;
+
+    const { compileProfiles } = await import("../lib/pipeline.js");
+    const { targets } = await compileProfiles();
+    const exported = targets.filter(({ profile, domains }) =>
+        domains && (values.profile === undefined || (profile.name ?? "default") === values.profile));
+
+    if (values.profile !== undefined && !exported.length) {
+        throw new UsageError(`Unknown or disabled profile "${values.profile}"`);
+    }
+
+    let text;
+    if (format === "json") {
+        text = JSON.stringify(
+            Object.fromEntries(exported.map(({ profile, domains }) => [profile.name ?? "default", domains[kind]])),
+            null,
+            2
+        );
+    } else {
+        // Profiles may share domains
+        const domains = [...new Set(exported.flatMap(({ domains }) => domains[kind]))];
+        text = domains.map((domain) => (format === "hosts" ? `0.0.0.0 ${domain}` : domain)).join("\n");
+    }
+
+    if (values.output) {
+        await writeFile(values.output, `${text}\n`);
+        console.log(`Exported to ${values.output}`);
+    } else {
+        process.stdout.write(`${text}\n`);
+    }
+
+    return EXIT_CODES.SUCCESS;
+};
+
+/**
+ * Compiles the filter lists and prints the source report.
+ * @param {Object} values The parsed options.
+ * @returns {Promise<number>} The exit code.
+ */
+const runReport = async (values) => {
+    // Keep stdout clean for the report
+    console.log = console.error;
+
+    const { compileProfiles } = await import("../lib/pipeline.js");
+    const { formatSourceReportMarkdown } = await import("../lib/report.js");
+    const { report } = await compileProfiles();
+
+    process.stdout.write(values.json ? `${JSON.stringify(report, null, 2)}\n` : formatSourceReportMarkdown(report));
+    return EXIT_CODES.SUCCESS;
+};
+
+/**
+ * Saves a snapshot of the deployed CGPS rules and lists, or lists the saved snapshots.
+ * @param {Object} values The parsed options.
+ * @returns {Promise<number>} The exit code.
+ */
+const runSnapshot = async (values) => {
+    const { createSnapshot, listSnapshots } = await import("../lib/snapshot.js");
+
+    if (values.list) {
+        const snapshots = await listSnapshots();
+        if (!snapshots.length) console.log("No snapshots saved.");
+        for (const path of snapshots) console.log(path);
+        return EXIT_CODES.SUCCESS;
+    }
+
+    const { validateEnvironment } = await import("../lib/pipeline.js");
+    validateEnvironment();
+    await createSnapshot(values.output);
+    return EXIT_CODES.SUCCESS;
+};
+
+/**
+ * Restores the CGPS rules and lists saved in a snapshot.
+ * @param {Object} values The parsed options.
+ * @param {string} [file] The snapshot to restore, the newest saved one if omitted.
+ * @returns {Promise<number>} The exit code.
+ */
+const runRestore = async (values, file) => {
+    const { validateEnvironment } = await import("../lib/pipeline.js");
+    const { listSnapshots, readSnapshot, restoreSnapshot } = await import("../lib/snapshot.js");
+
+    validateEnvironment();
+    const path = file ?? (await listSnapshots()).at(-1);
+    if (!path) throw new UsageError("No snapshots saved, pass the snapshot file to restore");
+
+    const snapshot = await readSnapshot(path);
+    const question = `Restore ${snapshot.rules.length} rules and ${snapshot.lists.length} lists ` +
+        `from the snapshot of ${snapshot.createdAt}? CGPS rules and lists that aren't in it will be deleted.`;
+    if (!values.yes) {
+        if (!process.stdin.isTTY) throw new UsageError(`${question} Pass --yes to confirm.`);
+        if (!(await confirm(question))) {
+            console.log("Aborted.");
+            return EXIT_CODES.FAILURE;
+        }
+    }
+
+    const { lists, rules } = await restoreSnapshot(snapshot);
+    console.log(
+        `Restored ${path}: ${lists.created} lists created, ${lists.updated} updated, ${lists.deleted} deleted; ` +
+        `${rules.created} rules created, ${rules.updated} updated, ${rules.deleted} deleted.`
+    );
+    return EXIT_CODES.SUCCESS;
+};
+
+/**
+ * Syncs the filter lists, or only plans the sync.
+ * @param {boolean} dryRun Only print the plan.
+ * @returns {Promise<number>} The exit code.
+ */
+const runSync = async (dryRun) => {
+    const { syncFilterLists } = await import("../lib/pipeline.js");
+
+    await syncFilterLists({ dryRun });
+    return EXIT_CODES.SUCCESS;
+};
+
+/**
+ * Runs a command for the account it acts on.
+ * Several accounts may be synced at once, but other commands act on a single one.
+ * @param {() => Promise<number>} fn The command.
+ * @returns {Promise<number>} The exit code.
+ * @throws {UsageError} If several accounts are configured and none was chosen.
+ */
+const runForAccount = async (fn) => {
+    const { loadAccounts } = await import("../lib/config.js");
+    const { withAccount } = await import("../lib/helpers.js");
+
+    const accounts = await loadAccounts();
+    if (accounts.length > 1) {
+        throw new UsageError(`Several accounts are configured, choose one with --account: ${accounts.map(({ name }) => name).join(", ")}`);
+    }
+
+    return withAccount(accounts[0], fn);
+};
+
+/**
+ * Runs the CLI.
+ * @param {string[]} args The arguments after the executable and script.
+ * @returns {Promise<number>} The exit code.
+ */
+const main = async (args) => {
+    const { command, values, positionals } = parseCommandLine(args);
+
+    if (values.help || !command) {
+        const help = getHelp(command);
+        if (command || values.help) {
+            process.stdout.write(help);
+            return EXIT_CODES.SUCCESS;
+        }
+        process.stderr.write(help);
+        return EXIT_CODES.USAGE;
+    }
+
+    applyEnvOptions(values);
+    // Settings given on the command line take precedence, since dotenv doesn't override them
+    (await import("dotenv")).config();
+
+    switch (command) {
+        case "sync":
+            return runSync(false);
+        case "plan":
+            return runSync(true);
+        case "status":
+            return runForAccount(() => runStatus(values));
+        case "delete":
+            return runForAccount(() => runDelete(values));
+        case "export":
+            return runExport(values);
+        case "report":
+            return runReport(values);
+        case "snapshot":
+            return runForAccount(() => runSnapshot(values));
+        case "restore":
+            return runForAccount(() => runRestore(values, positionals[0]));
+    }
+};
+
+try {
+    process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+    if (error instanceof UsageError) {
+        console.error(`cgps: ${error.message}`);
+        process.exitCode = EXIT_CODES.USAGE;
+    } else {
+        // Invalid settings fail while loading the library, so the failure can't depend on it
+        const isUnsafe = await import("../lib/guards.js").then(({ SafetyError }) => error instanceof SafetyError, () => false);
+        console.error(isUnsafe || !process.env.DEBUG ? `cgps: ${error.message}` : error);
+        process.exitCode = isUnsafe ? EXIT_CODES.UNSAFE : EXIT_CODES.FAILURE;
+    }
+}
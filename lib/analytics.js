@@ -0,0 +1,119 @@
+import { GATEWAY_ANALYTICS_HOURS, GATEWAY_ANALYTICS_LIMIT } from "./constants.js";
+import { getAccount, requestGraphql } from "./helpers.js";
+import { extractDomain } from "./utils.js";
+
+/**
+ * Resolver decisions of blocked DNS queries, as listed in the Gateway DNS logs:
+ * blocked by query name, by category, by an always-blocked category and by a rule.
+ */
+const BLOCKED_DECISIONS = new Set([2, 3, 6, 9]);
+
+const QUERY_COUNTS_QUERY = `query GatewayQueryCounts($accountTag: string!, $since: Time!, $until: Time!, $limit: uint64!) {
+  viewer {
+    accounts(filter: { accountTag: $accountTag }) {
+      gatewayResolverQueriesAdaptiveGroups(
+        limit: $limit
+        filter: { datetime_geq: $since, datetime_leq: $until }
+        orderBy: [count_DESC]
+      ) {
+        count
+        dimensions {
+          queryName
+          resolverDecision
+        }
+      }
+    }
+  }
+}`;
+
+/**
+ * The DNS queries of the account in a time window.
+ * @typedef {Object} QueryCounts
+ * @property {string} since The start of the window, as an ISO date.
+ * @property {string} until The end of the window, as an ISO date.
+ * @property {Map<string, {blocked: number, allowed: number}>} domains The blocked and allowed queries of every queried domain.
+ */
+
+/**
+ * Fetches the number of blocked and allowed DNS queries per domain from Gateway analytics.
+ * @param {Object} [options]
+ * @param {number} [options.hours=GATEWAY_ANALYTICS_HOURS] The length of the window, ending now.
+ * @param {number} [options.limit=GATEWAY_ANALYTICS_LIMIT] The maximum number of domains and decisions, the most queried first.
+ * @returns {Promise<QueryCounts>}
+ * @throws {import("./helpers.js").CloudflareApiError} If the request fails, e.g. because the token can't read analytics
+ */
+export const fetchQueryCounts = async ({ hours = GATEWAY_ANALYTICS_HOURS, limit = GATEWAY_ANALYTICS_LIMIT } = {}) => {
+    const until = new Date();
+    const since = new Date(until.getTime() - hours * 60 * 60 * 1000);
+
+    const data = await requestGraphql(QUERY_COUNTS_QUERY, {
+        accountTag: getAccount().accountId,
+        since: since.toISOString(),
+        until: until.toISOString(),
+        limit,
+    });
+
+    const domains = new Map();
+    for (const { count, dimensions } of data.viewer?.accounts?.[0]?.gatewayResolverQueriesAdaptiveGroups ?? []) {
+        // Query names may be fully qualified
+        const domain = (dimensions.queryName ?? "").toLowerCase().replace(/\.$/, "");
+        if (!domain) continue;
+
+        const counts = domains.get(domain) ?? { blocked: 0, allowed: 0 };
+        counts[BLOCKED_DECISIONS.has(Number(dimensions.resolverDecision)) ? "blocked" : "allowed"] += count;
+        domains.set(domain, counts);
+    }
+
+    return { since: since.toISOString(), until: until.toISOString(), domains };
+};
+
+/**
+ * Adds up the DNS queries of several accounts.
+ * @param {QueryCounts[]} queryCounts The DNS queries of every account.
+ * @returns {QueryCounts|null} Null if there are none.
+ */
+export const mergeQueryCounts = (queryCounts) => {
+    if (!queryCounts.length) return null;
+
+    const domains = new Map();
+    for (const { domains: accountDomains } of queryCounts) {
+        for (const [domain, { blocked, allowed }] of accountDomains) {
+            const counts = domains.get(domain) ?? { blocked: 0, allowed: 0 };
+            domains.set(domain, { blocked: counts.blocked + blocked, allowed: counts.allowed + allowed });
+        }
+    }
+
+    return {
+        since: queryCounts.map(({ since }) => since).sort()[0],
+        until: queryCounts.map(({ until }) => until).sort().at(-1),
+        domains,
+    };
+};
+
+/**
+ * Sums the queries every domain would block: its own and those of its subdomains.
+ * Allowed queries count too, since they include domains that were dropped before.
+ * @param {QueryCounts} queryCounts The DNS queries.
+ * @returns {Map<string, number>} The number of queries per domain, only for queried domains and their parents.
+ */
+export const getHits = ({ domains }) => {
+    const hits = new Map();
+    for (const [domain, { blocked, allowed }] of domains) {
+        for (const item of extractDomain(domain)) hits.set(item, (hits.get(item) ?? 0) + blocked + allowed);
+    }
+
+    return hits;
+};
+
+/**
+ * Gets the domains with the most blocked queries.
+ * @param {QueryCounts} queryCounts The DNS queries.
+ * @param {number} count The number of domains.
+ * @returns {Array<{domain: string, blocked: number}>} The domains, the most blocked first.
+ */
+export const getTopBlocked = ({ domains }, count) =>
+    [...domains]
+        .filter(([, { blocked }]) => blocked > 0)
+        .sort(([a, x], [b, y]) => (y.blocked - x.blocked) || (a < b ? -1 : 1))
+        .slice(0, count)
+        .map(([domain, { blocked }]) => ({ domain, blocked }));
@@ -1,8 +1,12 @@
-import { BLOCK_PAGE_ENABLED, DEBUG, LIST_ITEM_SIZE } from "./constants.js";
-import { requestGateway } from "./helpers.js";
+import { API_CONCURRENCY, BLOCK_PAGE_ENABLED, DEBUG, LIST_ITEM_SIZE } from "./constants.js";
+import { scopeExpression } from "./expression.js";
+import { requestGateway, requestGatewayAll, requestGatewayPages } from "./helpers.js";
+import { DNS_RULE_NAME, formatRuleDescription, RULE_DESCRIPTION } from "./names.js";
+import { buildTargetingFields, getTrafficScope } from "./targeting.js";
+import { mapConcurrent } from "./utils.js";
 
 /**
- * Default rule settings
+ * Default settings of block rules
  */
 const DEFAULT_RULE_SETTINGS = {
     block_page_enabled: BLOCK_PAGE_ENABLED,
@@ -13,21 +17,18 @@ const DEFAULT_RULE_SETTINGS = {
  * Default rule configuration
  */
 const DEFAULT_RULE_CONFIG = {
-    description: "Filter lists created by Cloudflare Gateway Pi-hole Scripts. Avoid editing this rule. Changing the name of this rule will break the script.",
-    enabled: true,
-    action: "block"
+    description: RULE_DESCRIPTION,
+    enabled: true
 };
 
 /**
- * Gets Zero Trust lists.
+ * Gets Zero Trust lists, following pagination.
  *
  * API docs: https://developers.cloudflare.com/api/operations/zero-trust-lists-list-zero-trust-lists
  * @returns {Promise<Object>}
  */
 export const getZeroTrustLists = () =>
-    requestGateway("/lists", {
-        method: "GET",
-    });
+    requestGatewayAll("/lists");
 
 /**
  * Creates a Zero Trust list.
@@ -36,45 +37,55 @@ export const getZeroTrustLists = () =>
  * @param {string} name The name of the list.
  * @param {Object[]} items The domains in the list.
  * @param {string} items[].value The domain of an entry.
+ * @param {string} [type="DOMAIN"] The type of the list.
  * @returns {Promise}
  */
-const createZeroTrustList = (name, items) =>
+export const createZeroTrustList = (name, items, type = "DOMAIN") =>
     requestGateway(`/lists`, {
         method: "POST",
         body: JSON.stringify({
             name,
-            type: "DOMAIN",
+            type,
             items,
         }),
     });
 
 /**
- * Creates Zero Trust lists sequentially with progress tracking
- * @param {Array<{value: string}[]>} domainChunks Array of domain chunks to create lists for
- * @returns {Promise<void>}
+ * Gets all items of a Zero Trust list, following pagination.
+ *
+ * API docs: https://developers.cloudflare.com/api/operations/zero-trust-lists-zero-trust-list-items
+ * @param {string} id The ID of the list.
+ * @returns {Promise<string[]>} The values of the list items.
  */
-export const createZeroTrustListsOneByOne = async (items) => {
-    let totalListNumber = Math.ceil(items.length / LIST_ITEM_SIZE);
+export const getZeroTrustListItems = async (id) => {
+    const values = [];
 
-    for (let i = 0, listNumber = 1; i < items.length; i += LIST_ITEM_SIZE) {
-        const chunk = items
-            .slice(i, i + LIST_ITEM_SIZE)
-            .map((item) => ({ value: item }));
-        const listName = `CGPS List - Chunk ${listNumber}`;
-        try {
-            await createZeroTrustList(listName, chunk);
-            totalListNumber--;
-            listNumber++;
-            console.log(`✓ Created "${listName}" (${totalListNumber} remaining)`);
-        } catch (err) {
-            console.error(`✗ Failed to create "${listName}":`, err);
-            throw err;
-        }
+    for await (const page of requestGatewayPages(`/lists/${id}/items`, { perPage: LIST_ITEM_SIZE })) {
+        // Items may be returned nested in arrays depending on the API version
+        values.push(...page.flat().map((item) => item.value));
     }
 
-    console.log('✓ All lists created successfully');
+    return values;
 };
 
+/**
+ * Appends and removes items of a Zero Trust list.
+ *
+ * API docs: https://developers.cloudflare.com/api/operations/zero-trust-lists-patch-zero-trust-list
+ * @param {string} id The ID of the list.
+ * @param {string[]} append The domains to append.
+ * @param {string[]} remove The domains to remove.
+ * @returns {Promise<Object>}
+ */
+export const patchZeroTrustList = (id, append, remove) =>
+    requestGateway(`/lists/${id}`, {
+        method: "PATCH",
+        body: JSON.stringify({
+            append: append.map((value) => ({ value })),
+            remove,
+        }),
+    });
+
 /**
  * Deletes a Zero Trust list.
  *
@@ -86,18 +97,18 @@ const deleteZeroTrustList = (id) =>
     requestGateway(`/lists/${id}`, { method: "DELETE" });
 
 /**
- * Deletes Zero Trust lists sequentially with progress tracking
+ * Deletes Zero Trust lists with progress tracking, `API_CONCURRENCY` at a time
  * @param {Array<{id: number, name: string}>} lists Lists to delete
  * @returns {Promise<void>}
  */
-export const deleteZeroTrustListsOneByOne = async (lists) => {
+export const deleteZeroTrustLists = async (lists) => {
     const total = lists.length;
     if (total === 0) return;
 
     console.log(`Deleting ${total} lists...`);
     let remaining = total;
 
-    for (const { id, name } of lists) {
+    await mapConcurrent(lists, API_CONCURRENCY, async ({ id, name }) => {
         try {
             await deleteZeroTrustList(id);
             remaining--;
@@ -106,52 +117,78 @@ export const deleteZeroTrustListsOneByOne = async (lists) => {
             console.error(`✗ Failed to delete "${name}":`, error.message);
             throw error;
         }
-    }
+    });
 
     console.log('✓ All lists deleted successfully');
 };
 
 /**
- * Gets Zero Trust rules.
+ * Gets Zero Trust rules, following pagination.
  *
  * API docs: https://developers.cloudflare.com/api/operations/zero-trust-gateway-rules-list-zero-trust-gateway-rules
  * @returns {Promise<Object>}
  */
 export const getZeroTrustRules = () =>
-    requestGateway("/rules", { method: "GET" });
+    requestGatewayAll("/rules");
 
 /**
- * Upserts a Zero Trust rule.
- * If a rule with the same name exists, will update it. Otherwise create a new rule.
- * @param {string} wirefilterExpression The expression to be used for the rule.
- * @param {string} name The name of the rule.
- * @param {string[]} filters The filters to be used for the rule. Default is ["dns"]. Possible values are ["dns", "http", "l4", "egress"].
- * @returns {Promise<Object>}
+ * Options of a Zero Trust rule
+ * @typedef {Object} RuleOptions
+ * @property {"block"|"allow"|"override"|"safesearch"|"ytrestricted"} [action="block"] What happens to matching traffic
+ * @property {number} [precedence] Evaluation order, lower values are evaluated first. Left to Cloudflare if omitted.
+ * @property {boolean} [enabled=true] Whether the rule is enabled
+ * @property {boolean} [blockPage] Whether the block page is shown, defaults to `BLOCK_PAGE_ENABLED`
+ * @property {string} [blockReason] The reason shown on the block page, defaults to a generic one
+ * @property {string} [blockPageUrl] The URL of a custom block page, only used if the block page is shown
+ * @property {string[]} [overrideIps] The IP addresses the override action answers DNS queries with
+ * @property {string} [overrideHost] The hostname the override action answers DNS queries with, instead of IPs
+ * @property {string|null} [profile=null] The profile the rule belongs to
+ * @property {import("./targeting.js").Targeting} [targeting] Who and when the rule applies to, everyone all the time if omitted
+ * @property {Object} [deployed] Fields of the deployed rule that are sent back unchanged instead of being built, e.g. its targeting when disabling it
  */
-export const upsertZeroTrustRule = async (wirefilterExpression, name = "CGPS Filter Lists", filters = ["dns"]) => {
-    const { result: existingRules } = await getZeroTrustRules();
-    const existingRule = existingRules.find(rule => rule.name === name);
-    if (existingRule) {
-        if (DEBUG) console.log(`Found "${existingRule.name}" in rules, updating...`);
-        return updateZeroTrustRule(existingRule.id, wirefilterExpression, name, filters);
-    }
-    if (DEBUG) console.log(`No existing rule named "${existingRule.name}", creating...`);
-    return createZeroTrustRule(wirefilterExpression, name, filters);
-}
 
 /**
- * Builds a Zero Trust rule payload
+ * Builds the settings of a rule's action. Actions without settings, e.g. allow and safesearch, get none.
+ * @param {RuleOptions} options Rule action and settings
+ * @returns {Object} Rule settings
+ */
+const buildRuleSettings = ({ action = "block", blockPage = BLOCK_PAGE_ENABLED, blockReason, blockPageUrl, overrideIps, overrideHost }) => {
+    if (action === "override") return overrideIps ? { override_ips: overrideIps } : { override_host: overrideHost };
+    if (action !== "block") return {};
+
+    return {
+        ...DEFAULT_RULE_SETTINGS,
+        block_page_enabled: blockPage,
+        ...(blockReason && { block_reason: blockReason }),
+        ...(blockPage && blockPageUrl && { block_page: { target_uri: blockPageUrl, include_context: true } }),
+    };
+};
+
+/**
+ * Builds a Zero Trust rule payload. DNS rules targeting locations only match the traffic of those locations.
  * @param {string} wirefilterExpression Filter expression
  * @param {string} name Rule name
  * @param {string[]} filters Rule filters
+ * @param {RuleOptions} options Rule action, precedence and settings
  * @returns {Object} Rule configuration payload
  */
-const buildRulePayload = (wirefilterExpression, name, filters) => ({
+const buildRulePayload = (
+    wirefilterExpression,
+    name,
+    filters,
+    { action = "block", precedence, enabled = true, profile = null, targeting, deployed, ...settings } = {}
+) => ({
     ...DEFAULT_RULE_CONFIG,
     name,
+    description: formatRuleDescription(profile),
+    enabled,
+    action,
     filters,
-    traffic: wirefilterExpression,
-    rule_settings: DEFAULT_RULE_SETTINGS
+    traffic: scopeExpression(wirefilterExpression, getTrafficScope(targeting, filters)),
+    ...buildTargetingFields(targeting),
+    ...(precedence !== undefined && { precedence }),
+    rule_settings: buildRuleSettings({ action, ...settings }),
+    ...deployed,
 });
 
 /**
@@ -159,11 +196,12 @@ const buildRulePayload = (wirefilterExpression, name, filters) => ({
  * @param {string} wirefilterExpression Filter expression
  * @param {string} name Rule name
  * @param {string[]} filters Rule filters (default: ["dns"])
+ * @param {RuleOptions} [options] Rule action, precedence and settings
  * @returns {Promise<Object>} Created rule
  */
-export const createZeroTrustRule = async (wirefilterExpression, name = "CGPS Filter Lists", filters = ["dns"]) => {
+export const createZeroTrustRule = async (wirefilterExpression, name = DNS_RULE_NAME, filters = ["dns"], options = {}) => {
     try {
-        const payload = buildRulePayload(wirefilterExpression, name, filters);
+        const payload = buildRulePayload(wirefilterExpression, name, filters, options);
         const response = await requestGateway("/rules", {
             method: "POST",
             body: JSON.stringify(payload)
@@ -183,11 +221,12 @@ export const createZeroTrustRule = async (wirefilterExpression, name = "CGPS Fil
  * @param {string} wirefilterExpression Filter expression
  * @param {string} name Rule name
  * @param {string[]} filters Rule filters (default: ["dns"])
+ * @param {RuleOptions} [options] Rule action, precedence and settings
  * @returns {Promise<Object>} Updated rule
  */
-export const updateZeroTrustRule = async (id, wirefilterExpression, name = "CGPS Filter Lists", filters = ["dns"]) => {
+export const updateZeroTrustRule = async (id, wirefilterExpression, name = DNS_RULE_NAME, filters = ["dns"], options = {}) => {
     try {
-        const payload = buildRulePayload(wirefilterExpression, name, filters);
+        const payload = buildRulePayload(wirefilterExpression, name, filters, options);
         const response = await requestGateway(`/rules/${id}`, {
             method: "PUT",
             body: JSON.stringify(payload)
@@ -201,6 +240,27 @@ export const updateZeroTrustRule = async (id, wirefilterExpression, name = "CGPS
     }
 };
 
+/**
+ * Saves a Zero Trust rule exactly as given, e.g. to restore it from a snapshot.
+ * @param {Object} payload The rule, as returned by the API.
+ * @param {string} [id] The ID of the rule to overwrite. A new rule is created if omitted.
+ * @returns {Promise<Object>} Saved rule
+ */
+export const saveZeroTrustRule = async (payload, id) => {
+    try {
+        const response = await requestGateway(id ? `/rules/${id}` : "/rules", {
+            method: id ? "PUT" : "POST",
+            body: JSON.stringify(payload)
+        });
+
+        if (DEBUG) console.log(`✓ Saved rule "${payload.name}"`);
+        return response;
+    } catch (error) {
+        console.error(`✗ Failed to save rule "${payload.name}":`, error.message);
+        throw error;
+    }
+};
+
 /**
  * Deletes a Zero Trust rule.
  *
@@ -0,0 +1,85 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+
+import { SOURCE_CACHE_DIR } from "./constants.js";
+
+/**
+ * A cached copy of a remote source.
+ * @typedef {Object} CacheEntry
+ * @property {string} location The URL of the source.
+ * @property {string} body The contents of the source.
+ * @property {string|undefined} etag The ETag the server sent with the contents.
+ * @property {string|undefined} lastModified The Last-Modified date the server sent with the contents.
+ * @property {string} fetchedAt When the contents were last fetched or confirmed unchanged, as an ISO date.
+ */
+
+/**
+ * Gets the paths of the cache files of a source.
+ * @param {string} location The URL of the source.
+ * @returns {{body: string, meta: string}}
+ */
+const getCachePaths = (location) => {
+    const key = createHash("sha256").update(location).digest("hex");
+    const directory = resolve(SOURCE_CACHE_DIR);
+
+    return {
+        body: join(directory, `${key}.txt`),
+        meta: join(directory, `${key}.json`),
+    };
+};
+
+/**
+ * Writes a file atomically, so that an interrupted run never leaves a truncated copy behind.
+ * @param {string} path The path of the file.
+ * @param {string} data The contents of the file.
+ * @returns {Promise<void>}
+ */
+const writeFileAtomic = async (path, data) => {
+    const temporaryPath = `${path}.${process.pid}.tmp`;
+    await writeFile(temporaryPath, data);
+    await rename(temporaryPath, path);
+};
+
+/**
+ * Reads the cached copy of a source.
+ * @param {string} location The URL of the source.
+ * @returns {Promise<CacheEntry|null>} Null if the source isn't cached or the cache is unreadable.
+ */
+export const readCache = async (location) => {
+    const paths = getCachePaths(location);
+
+    try {
+        const meta = JSON.parse(await readFile(paths.meta, "utf8"));
+        const body = await readFile(paths.body, "utf8");
+        return { ...meta, location, body };
+    } catch (error) {
+        if (error.code !== "ENOENT") console.warn(`Ignoring unreadable cache of ${location}:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Stores a copy of a source.
+ * Failing to write the cache never fails the run.
+ * @param {CacheEntry} entry The copy to store.
+ * @returns {Promise<void>}
+ */
+export const writeCache = async ({ location, body, etag, lastModified, fetchedAt }) => {
+    const paths = getCachePaths(location);
+
+    try {
+        await mkdir(resolve(SOURCE_CACHE_DIR), { recursive: true });
+        await writeFileAtomic(paths.body, body);
+        await writeFileAtomic(paths.meta, JSON.stringify({ location, etag, lastModified, fetchedAt }, null, 2));
+    } catch (error) {
+        console.warn(`Failed to cache ${location}:`, error.message);
+    }
+};
+
+/**
+ * Gets the age of a cached copy.
+ * @param {CacheEntry} entry The cached copy.
+ * @returns {number} The age in hours.
+ */
+export const getCacheAge = ({ fetchedAt }) => (Date.now() - new Date(fetchedAt).getTime()) / (60 * 60 * 1000);
@@ -0,0 +1,375 @@
+import { getIpBudget, getUrlBudget } from "./config.js";
+import { getScopedMaxLength } from "./expression.js";
+import { mergeIpRanges, normalizeIpRange, trimIpRanges } from "./ip.js";
+import { parseFilterList, resolveEntries } from "./parser.js";
+import { compileRegex, compileWildcard, packPatterns } from "./regex.js";
+import { analyzeSources } from "./report.js";
+import { getSources, loadSource } from "./sources.js";
+import { getTrafficScope } from "./targeting.js";
+import { foldSubdomains, trimDomains } from "./trim.js";
+import { extractDomain, isValidDomain } from "./utils.js";
+
+/**
+ * The outcome of loading a source
+ * @typedef {Object} SourceResult
+ * @property {string} location Where the source was loaded from
+ * @property {"allowlist"|"blocklist"} kind The kind of list
+ * @property {number} count The number of valid domains, IP blocks, URLs and patterns in the source
+ * @property {string|null} error Why the source failed, null if it loaded
+ * @property {number} min The minimum number of domains the source must have
+ * @property {boolean} required Whether the source must load
+ */
+
+/**
+ * What a source contained, for the source report
+ * @typedef {Object} SourceContents
+ * @property {string} location Where the source was loaded from
+ * @property {"allowlist"|"blocklist"} kind The kind of list
+ * @property {string|null} format The detected or declared format, null if the source failed
+ * @property {number} lines The number of lines
+ * @property {number} rules The number of lines that aren't blank or comments
+ * @property {number} invalid The number of rules that didn't yield a valid domain
+ * @property {number} unsupported The number of rules that can't be represented
+ * @property {Set<string>} domains The valid domains
+ * @property {number} ips The number of valid IP addresses and blocks
+ * @property {number} urls The number of valid URLs, 0 unless HTTP filtering is enabled
+ * @property {string|null} error Why the source failed, null if it loaded
+ */
+
+/**
+ * Checks if a URL has a valid host, a domain or an IPv4 address
+ * @param {string} domain The host of the URL
+ * @returns {boolean}
+ */
+const isValidUrlHost = (domain) => isValidDomain(domain) || normalizeIpRange(domain) === domain;
+
+/**
+ * Loads and parses domains from a single source
+ * @param {import("./sources.js").Source} source The source to fetch domains from
+ * @param {boolean} isAllowlist Whether this is an allowlist source
+ * @param {Object} [options]
+ * @param {boolean} [options.keepUrls=false] Whether to keep the URLs of path-specific rules. They're unsupported otherwise.
+ * @param {boolean} [options.keepPatterns=false] Whether to compile wildcard and regex rules. They're unsupported otherwise.
+ * @returns {Promise<{domains: Set<string>, ips: Set<string>, urls: Set<string>, patterns: Set<string>, rejected: Map<string, number>, format: string|null, lines: number, rules: number, invalid: number, unsupported: number, fallback: Object|null, error: string|null}>}
+ * Set of processed domains, set of normalized IP addresses and blocks, set of URLs, set of compiled patterns and the number
+ * of patterns rejected for every reason, the format, line and rule counts, the number of invalid and unsupported rules
+ * (rejected patterns included), whether a cached copy was used and why the source failed
+ */
+async function fetchDomains(source, isAllowlist = false, { keepUrls = false, keepPatterns = false } = {}) {
+    const { location, format } = source;
+
+    try {
+        console.log(`Fetching domains from ${location}...`);
+        const { text, fallback } = await loadSource(source);
+        const parsed = parseFilterList(text, format);
+        const ipEntries = parsed.entries.filter(({ ip }) => ip);
+        // Every rule of an allowlist allows its domain, exceptions included
+        const resolved = isAllowlist
+            ? parsed.entries.filter(({ ip }) => !ip)
+            : resolveEntries(parsed.entries.filter(({ ip }) => !ip)).blocked;
+        const patternEntries = resolved.filter(({ wildcard, regex }) => wildcard || regex);
+        const entries = resolved.filter(({ path, wildcard, regex }) => !path && !wildcard && !regex);
+        const urlEntries = resolved.filter(({ path }) => path);
+        const validDomains = entries
+            .map(({ domain }) => domain)
+            .filter(domain => isValidDomain(domain));
+        const domains = new Set(validDomains);
+        // Only blocklists can list IPs and URLs, allowed ones can't be carved out of what's blocked
+        const validIps = isAllowlist ? [] : ipEntries.map(({ ip }) => normalizeIpRange(ip)).filter(ip => ip);
+        const ips = new Set(validIps);
+        const validUrls = isAllowlist || !keepUrls ? [] : urlEntries
+            .filter(({ domain }) => isValidUrlHost(domain))
+            .map(({ domain, path }) => `${domain}${path}`);
+        const urls = new Set(validUrls);
+        const patterns = new Set();
+        const rejected = new Map();
+        for (const { wildcard, regex, subtree } of isAllowlist || !keepPatterns ? [] : patternEntries) {
+            const compiled = regex ? compileRegex(regex) : compileWildcard(wildcard, subtree);
+            if (compiled.pattern) patterns.add(compiled.pattern);
+            else rejected.set(compiled.reason, (rejected.get(compiled.reason) ?? 0) + 1);
+        }
+        const unsupported = parsed.unsupported +
+            (isAllowlist ? ipEntries.length : 0) +
+            (isAllowlist || !keepUrls ? urlEntries.length : 0) +
+            (isAllowlist || !keepPatterns ? patternEntries.length : [...rejected.values()].reduce((total, count) => total + count, 0));
+
+        const extraCounts = [
+            ips.size && `${ips.size} IP addresses and blocks`,
+            urls.size && `${urls.size} URLs`,
+            patterns.size && `${patterns.size} patterns`,
+        ].filter(count => count);
+        console.log(`Found ${[`${domains.size} domains`, ...extraCounts].join(" and ")} in ${location} (${parsed.format}, ${unsupported} unsupported rules)`);
+        return {
+            domains,
+            ips,
+            urls,
+            patterns,
+            rejected,
+            format: parsed.format,
+            lines: text.split("\n").length - (text.endsWith("\n") ? 1 : 0),
+            rules: parsed.rules,
+            invalid: entries.length - validDomains.length +
+                (isAllowlist ? 0 : ipEntries.length - validIps.length) +
+                (isAllowlist || !keepUrls ? 0 : urlEntries.length - validUrls.length),
+            unsupported,
+            fallback,
+            error: null
+        };
+    } catch (error) {
+        console.error(`Failed to fetch ${location}:`, error.message);
+        return { domains: new Set(), ips: new Set(), urls: new Set(), patterns: new Set(), rejected: new Map(), format: null, lines: 0, rules: 0, invalid: 0, unsupported: 0, fallback: null, error: error.message };
+    }
+}
+
+/**
+ * Fetches and processes domains from all sources of a kind of list
+ * @param {import("./config.js").Profile} profile The profile to fetch the sources of
+ * @param {"allowlist"|"blocklist"} kind The kind of list
+ * @returns {Promise<{domains: Map<string, number>, ips: Map<string, number>, urls: Map<string, number>, patterns: Map<string, number>, rejected: Map<string, number>, unsupported: number, fallbacks: Array<{location: string, age: number, error: string}>, sources: SourceResult[], contents: SourceContents[]}>}
+ * Unique domains, IP blocks, URLs and patterns with the summed priorities of the sources listing them, the number of
+ * patterns rejected for every reason, the number of unsupported rules, the sources replaced by their cached copy,
+ * the outcome of every source and what every source contained
+ */
+async function fetchAndProcessSources(profile, kind) {
+    const sources = await getSources(profile, kind);
+    const results = await Promise.all(
+        sources.map(source => fetchDomains(source, kind === "allowlist", {
+            keepUrls: profile.http,
+            keepPatterns: profile.regexBudget > 0,
+        }))
+    );
+
+    const domains = new Map();
+    const ips = new Map();
+    const urls = new Map();
+    const patterns = new Map();
+    const rejected = new Map();
+    results.forEach(({ domains: sourceDomains, ips: sourceIps, urls: sourceUrls, patterns: sourcePatterns, rejected: sourceRejected }, index) => {
+        for (const domain of sourceDomains) {
+            domains.set(domain, (domains.get(domain) ?? 0) + sources[index].priority);
+        }
+        for (const ip of sourceIps) {
+            ips.set(ip, (ips.get(ip) ?? 0) + sources[index].priority);
+        }
+        for (const url of sourceUrls) {
+            urls.set(url, (urls.get(url) ?? 0) + sources[index].priority);
+        }
+        for (const pattern of sourcePatterns) {
+            patterns.set(pattern, (patterns.get(pattern) ?? 0) + sources[index].priority);
+        }
+        for (const [reason, count] of sourceRejected) {
+            rejected.set(reason, (rejected.get(reason) ?? 0) + count);
+        }
+    });
+
+    return {
+        domains,
+        ips,
+        urls,
+        patterns,
+        rejected,
+        unsupported: results.reduce((total, { unsupported }) => total + unsupported, 0),
+        fallbacks: results
+            .map(({ fallback }, index) => fallback && { location: sources[index].location, ...fallback })
+            .filter(fallback => fallback),
+        sources: results.map(({ domains: sourceDomains, ips: sourceIps, urls: sourceUrls, patterns: sourcePatterns, error }, index) => ({
+            location: sources[index].location,
+            kind,
+            count: sourceDomains.size + sourceIps.size + sourceUrls.size + sourcePatterns.size,
+            error,
+            min: sources[index].min,
+            required: sources[index].required,
+        })),
+        contents: results.map(({ domains: sourceDomains, ips: sourceIps, urls: sourceUrls, format, lines, rules, invalid, unsupported, error }, index) => ({
+            location: sources[index].location,
+            kind,
+            format,
+            lines,
+            rules,
+            invalid,
+            unsupported,
+            domains: sourceDomains,
+            ips: sourceIps.size,
+            urls: sourceUrls.size,
+            error,
+        })),
+    };
+}
+
+/**
+ * Compiles the domains of a profile: fetches its sources and removes allowed
+ * and redundant domains. If the result exceeds the item budget of the profile,
+ * subdomains are folded into their parents if enabled, and the domains listed
+ * by the fewest and lowest-priority sources are dropped. Domains that were queried
+ * are kept first if query counts are given. IP addresses and blocks are merged and
+ * get their own share of the budget, as do the URLs of path-specific rules if HTTP
+ * filtering is enabled. What they don't use is left to the domains. Wildcard and regex rules
+ * are compiled into patterns and packed into regex rules within the character budget of the profile.
+ * @param {import("./config.js").Profile} profile The profile to compile
+ * @param {number} budget The number of list items the profile may use
+ * @param {Map<string, number>} [hits] The DNS queries every domain would block, from Gateway analytics
+ * @returns {Promise<{block: string[], allow: string[], ip: string[], url: string[], regex: string[][], allowlistSize: number, dropped: import("./trim.js").DroppedDomain[], fallbacks: Object[], sources: SourceResult[], report: import("./report.js").SourceStats[], stats: Object}>}
+ */
+export async function compileProfile(profile, budget, hits) {
+    const stats = {
+        processed: 0,
+        duplicates: 0,
+        allowed: 0,
+        unsupported: 0,
+        folded: 0,
+        trimmed: 0,
+        queried: 0,
+        ipMerged: 0,
+        ipTrimmed: 0,
+        urlAllowed: 0,
+        urlRedundant: 0,
+        urlTrimmed: 0,
+        patterns: 0,
+        patternRejected: 0,
+        patternRejections: {},
+        patternTrimmed: 0
+    };
+
+    // Fetch and process lists in parallel
+    const [
+        { domains: allowlist, unsupported: unsupportedAllowRules, fallbacks: allowFallbacks, sources: allowSources, contents: allowContents },
+        { domains: scores, ips: ipScores, urls: urlScores, patterns: patternScores, rejected, unsupported: unsupportedBlockRules, fallbacks: blockFallbacks, sources: blockSources, contents: blockContents }
+    ] = await Promise.all([
+        fetchAndProcessSources(profile, "allowlist"),
+        fetchAndProcessSources(profile, "blocklist")
+    ]);
+    stats.unsupported = unsupportedAllowRules + unsupportedBlockRules;
+
+    console.log(`\nFound ${allowlist.size} allowlist domains`);
+    console.log(`Processing ${scores.size} potential block domains...`);
+
+    // Published allowlist domains share the item budget with the blocklist and go first.
+    // Subdomains of allowed domains are already covered by their parent.
+    const allow = profile.publishAllowlist
+        ? [...allowlist.keys()]
+            .filter(domain => !extractDomain(domain).slice(1, -1).some(item => allowlist.has(item)))
+            .sort()
+            .slice(0, budget)
+        : [];
+
+    const mergedIps = mergeIpRanges(ipScores);
+    stats.ipMerged = ipScores.size - mergedIps.size;
+    const ipLimit = Math.min(getIpBudget(profile, budget), budget - allow.length);
+    const { ranges: ip, dropped: ipTrimmed } = trimIpRanges(mergedIps, ipLimit);
+    stats.ipTrimmed = ipTrimmed;
+    if (ipTrimmed) {
+        console.warn(`IP list exceeds limit of ${ipLimit} items, dropped ${ipTrimmed} IP addresses and blocks listed by the fewest sources.`);
+    }
+
+    // URLs on allowed domains stay allowed
+    const urlCandidates = [...urlScores.keys()].filter(url => {
+        const isAllowed = extractDomain(url.slice(0, url.indexOf("/"))).slice(1).some(item => allowlist.has(item));
+        if (isAllowed) stats.urlAllowed++;
+        return !isAllowed;
+    });
+    // The URLs reserve their share before the domains are trimmed, what's left of it
+    // after dropping URLs on blocked domains isn't given back
+    const urlLimit = Math.min(getUrlBudget(profile, budget), budget - allow.length - ip.length, urlCandidates.length);
+
+    const blockLimit = budget - allow.length - ip.length - urlLimit;
+
+    // Process blocklist with allowlist filtering
+    const blocklist = new Set();
+    // The allowlist domains every allowed domain matched, for the source report
+    const allowed = new Map();
+    for (const domain of scores.keys()) {
+        stats.processed++;
+
+        // Check for the domain and any higher level domain matches in the allowlist
+        const matches = extractDomain(domain).slice(1).filter(item => allowlist.has(item));
+        if (matches.length) {
+            stats.allowed++;
+            allowed.set(domain, matches);
+            continue;
+        }
+
+        blocklist.add(domain);
+    }
+
+    // Higher-level domains that are blocked already block their subdomains,
+    // so it's not necessary to block those
+    const collapsed = new Set();
+    let block = [...blocklist].filter(domain => {
+        const isDuplicate = extractDomain(domain).slice(1, -1).some(item => blocklist.has(item));
+        if (isDuplicate) {
+            stats.duplicates++;
+            collapsed.add(domain);
+        }
+        return !isDuplicate;
+    });
+
+    const dropped = [];
+    // Folded parents are only scored for trimming, the scores of the sources stay as they are
+    let blockScores = scores;
+    if (block.length > blockLimit && profile.foldThreshold) {
+        const result = foldSubdomains(block, scores, allowlist, profile.foldThreshold, blockLimit);
+        block = result.domains;
+        blockScores = result.scores;
+        dropped.push(...result.dropped);
+        stats.folded = result.dropped.length;
+    }
+
+    const result = trimDomains(block, blockScores, blockLimit, hits);
+    block = result.domains;
+    dropped.push(...result.dropped);
+    stats.trimmed = result.dropped.length;
+    if (hits) stats.queried = block.filter(domain => hits.has(domain)).length;
+
+    if (stats.folded) {
+        const parents = new Set(dropped.filter(({ reason }) => reason === "folded").map(({ into }) => into));
+        console.warn(`Blocklist exceeds limit of ${blockLimit} items, folded ${stats.folded} subdomains into ${parents.size} parent domains.`);
+    }
+    if (stats.trimmed) {
+        console.warn(hits
+            ? `Blocklist exceeds limit of ${blockLimit} items, dropped ${stats.trimmed} domains queried the least and listed by the fewest sources.`
+            : `Blocklist exceeds limit of ${blockLimit} items, dropped ${stats.trimmed} domains listed by the fewest sources.`);
+    }
+
+    // Blocking a domain over DNS blocks every URL on it
+    const blocked = new Set(block);
+    const urls = urlCandidates.filter(url => {
+        const isRedundant = extractDomain(url.slice(0, url.indexOf("/"))).slice(1).some(item => blocked.has(item));
+        if (isRedundant) stats.urlRedundant++;
+        return !isRedundant;
+    });
+    const url = urls
+        .sort((a, b) => (urlScores.get(b) - urlScores.get(a)) || (a < b ? -1 : 1))
+        .slice(0, urlLimit);
+    stats.urlTrimmed = urls.length - url.length;
+    if (stats.urlTrimmed) {
+        console.warn(`URL list exceeds limit of ${urlLimit} items, dropped ${stats.urlTrimmed} URLs listed by the fewest sources.`);
+    }
+
+    // Patterns listed by the most and highest-priority sources get into the regex rules first
+    const { rules: regex, trimmed: patternTrimmed, tooLong } = packPatterns(
+        [...patternScores.keys()].sort((a, b) => (patternScores.get(b) - patternScores.get(a)) || (a < b ? -1 : 1)),
+        { budget: profile.regexBudget, maxLength: getScopedMaxLength(getTrafficScope(profile.targeting, ["dns"])) }
+    );
+    if (tooLong) rejected.set("too long for a rule", (rejected.get("too long for a rule") ?? 0) + tooLong);
+    stats.patterns = regex.reduce((total, patterns) => total + patterns.length, 0);
+    stats.patternRejected = [...rejected.values()].reduce((total, count) => total + count, 0);
+    stats.patternRejections = Object.fromEntries(rejected);
+    stats.patternTrimmed = patternTrimmed;
+    if (patternTrimmed) {
+        console.warn(`Regex rules exceed the budget of ${profile.regexBudget} characters, dropped ${patternTrimmed} patterns listed by the fewest sources.`);
+    }
+
+    return {
+        block,
+        allow,
+        ip,
+        url,
+        regex,
+        allowlistSize: allowlist.size,
+        dropped,
+        fallbacks: [...allowFallbacks, ...blockFallbacks],
+        sources: [...allowSources, ...blockSources],
+        report: analyzeSources([...blockContents, ...allowContents], { allowed, collapsed, dropped, block }),
+        stats
+    };
+}
@@ -0,0 +1,408 @@
+import { readFile } from "node:fs/promises";
+import { resolve } from "node:path";
+
+import {
+    ACCOUNT_ID,
+    ALLOW_RULE_PRECEDENCE,
+    API_TOKEN,
+    BLOCK_BASED_ON_HTTP,
+    BLOCK_BASED_ON_SNI,
+    BLOCK_PAGE_ENABLED,
+    CONFIG_PATH,
+    FOLD_SUBDOMAINS_THRESHOLD,
+    IP_LIST_SHARE,
+    LIST_ITEM_LIMIT,
+    PUBLISH_ALLOWLIST,
+    REGEX_RULE_BUDGET,
+    RULE_PRECEDENCE,
+    SELECTED_ACCOUNTS,
+    URL_LIST_SHARE,
+    USER_DEFINED_ALLOWLIST_DOMAINS,
+    USER_DEFINED_ALLOWLIST_URLS,
+    USER_DEFINED_BLOCKLIST_DOMAINS,
+    USER_DEFINED_BLOCKLIST_URLS
+} from "./constants.js";
+import { parseIpRange } from "./ip.js";
+import { parseTargeting } from "./targeting.js";
+import { isValidDomain, memoize } from "./utils.js";
+
+/**
+ * A policy profile. Each profile has its own sources, lists and rules.
+ * @typedef {Object} Profile
+ * @property {string|null} name The name of the profile, null for the profile configured through environment variables.
+ * @property {boolean} enabled Whether the rules of the profile are enabled.
+ * @property {string[]|undefined} blocklists Blocklist source declarations.
+ * @property {string[]|undefined} allowlists Allowlist source declarations.
+ * @property {string|undefined} blocklistDomains Inline blocklist entries, one per line.
+ * @property {string|undefined} allowlistDomains Inline allowlist entries, one per line.
+ * @property {string|undefined} ruleName The name of the DNS rule. Other rule names are derived from it.
+ * @property {"block"|"allow"|"override"|"safesearch"|"ytrestricted"} action What happens to traffic matching the blocklists.
+ * @property {string[]|undefined} overrideIps The IP addresses DNS queries are answered with by the override action.
+ * @property {string|undefined} overrideHost The hostname DNS queries are answered with by the override action, instead of IPs.
+ * @property {boolean} blockPage Whether the block page is shown.
+ * @property {string|undefined} blockReason The reason shown on the block page, a generic one if unset.
+ * @property {string|undefined} blockPageUrl The URL of a custom block page users are redirected to.
+ * @property {boolean} sni Whether SNI-based filtering is enabled.
+ * @property {boolean} http Whether the URLs of path-specific rules are blocked with an HTTP rule.
+ * @property {boolean} publishAllowlist Whether the allowlist is published as an allow rule.
+ * @property {number|undefined} foldThreshold Number of blocked subdomains from which their parent is blocked instead when the budget is exceeded.
+ * @property {number|undefined} share Share of the list item limit, between 0 and 1. Unset shares are split evenly.
+ * @property {number} ipShare Share of the item budget of the profile IP addresses and blocks may use, between 0 and 1.
+ * @property {number} urlShare Share of the item budget of the profile URLs may use, between 0 and 1.
+ * @property {number} regexBudget Number of characters the expressions of the regex rules may add up to. Disabled if 0.
+ * @property {number|undefined} precedence Precedence of the block rules.
+ * @property {number|undefined} allowPrecedence Precedence of the allow rules.
+ * @property {import("./targeting.js").Targeting|undefined} targeting Who and when the rules apply to, everyone all the time if unset.
+ */
+
+/**
+ * A Cloudflare account the compiled lists are synced to.
+ * @typedef {Object} Account
+ * @property {string|null} name The name of the account, null for the account configured through environment variables.
+ * @property {string|undefined} accountId The Cloudflare account ID.
+ * @property {string|undefined} apiToken The API token.
+ * @property {string} credentials Where the account ID and API token come from, for error messages.
+ * @property {number} listItemLimit The maximum number of list items.
+ * @property {boolean|undefined} blockPage Whether the block page is shown, overriding the profiles if set.
+ * @property {boolean|undefined} sni Whether SNI-based filtering is enabled, overriding the profiles if set,
+ * except those limited to DNS rules.
+ * @property {boolean|undefined} http Whether URLs are blocked with an HTTP rule, overriding the profiles if set,
+ * except those limited to DNS rules.
+ */
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9-]+$/;
+
+const PROFILE_ACTIONS = ["block", "allow", "override", "safesearch", "ytrestricted"];
+
+/**
+ * Actions Gateway only supports in DNS rules
+ */
+export const DNS_ONLY_ACTIONS = ["override", "safesearch", "ytrestricted"];
+
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Builds the profile configured through environment variables.
+ * @returns {Profile}
+ */
+const getDefaultProfile = () => ({
+    name: null,
+    enabled: true,
+    blocklists: USER_DEFINED_BLOCKLIST_URLS,
+    allowlists: USER_DEFINED_ALLOWLIST_URLS,
+    blocklistDomains: USER_DEFINED_BLOCKLIST_DOMAINS,
+    allowlistDomains: USER_DEFINED_ALLOWLIST_DOMAINS,
+    ruleName: undefined,
+    action: "block",
+    overrideIps: undefined,
+    overrideHost: undefined,
+    blockPage: BLOCK_PAGE_ENABLED,
+    blockReason: undefined,
+    blockPageUrl: undefined,
+    sni: BLOCK_BASED_ON_SNI,
+    http: BLOCK_BASED_ON_HTTP,
+    publishAllowlist: PUBLISH_ALLOWLIST,
+    foldThreshold: FOLD_SUBDOMAINS_THRESHOLD,
+    share: undefined,
+    ipShare: IP_LIST_SHARE,
+    urlShare: URL_LIST_SHARE,
+    regexBudget: REGEX_RULE_BUDGET,
+    precedence: RULE_PRECEDENCE,
+    allowPrecedence: ALLOW_RULE_PRECEDENCE,
+    targeting: undefined,
+});
+
+/**
+ * Builds the account configured through environment variables.
+ * @returns {Account}
+ */
+export const getDefaultAccount = () => ({
+    name: null,
+    accountId: ACCOUNT_ID,
+    apiToken: API_TOKEN,
+    credentials: "CLOUDFLARE_ACCOUNT_ID and CLOUDFLARE_API_TOKEN",
+    listItemLimit: LIST_ITEM_LIMIT,
+    blockPage: undefined,
+    sni: undefined,
+    http: undefined,
+});
+
+/**
+ * Joins inline entries given as an array or a string.
+ * @param {string|string[]|undefined} value The inline entries.
+ * @returns {string|undefined}
+ */
+const joinEntries = (value) => (Array.isArray(value) ? value.join("\n") : value);
+
+/**
+ * Validates the settings of the action of a profile. Settings of another action are refused rather than ignored.
+ * @param {Object} config The profile configuration.
+ * @param {string} action The action of the profile.
+ * @throws {Error} If a setting is invalid or doesn't belong to the action.
+ */
+const checkActionSettings = (config, action) => {
+    const { name } = config;
+    const settings = { overrideIps: "override", overrideHost: "override", blockReason: "block", blockPageUrl: "block" };
+    for (const [key, settingAction] of Object.entries(settings)) {
+        if (config[key] !== undefined && action !== settingAction) {
+            throw new Error(`Profile "${name}" has ${key}, which only applies to the ${settingAction} action, not ${action}`);
+        }
+    }
+
+    if (action === "override" && (config.overrideIps === undefined) === (config.overrideHost === undefined)) {
+        throw new Error(`Profile "${name}" uses the override action: give either overrideIps or overrideHost`);
+    }
+    if (config.overrideIps !== undefined && !(Array.isArray(config.overrideIps) && config.overrideIps.length)) {
+        throw new Error(`Invalid overrideIps in profile "${name}": use a non-empty array of IP addresses`);
+    }
+    // Queries are answered with addresses, not blocks
+    const invalidIp = config.overrideIps?.find((ip) => typeof ip !== "string" || ip.includes("/") || !parseIpRange(ip));
+    if (invalidIp !== undefined) throw new Error(`Invalid override IP "${invalidIp}" in profile "${name}": use an IPv4 or IPv6 address`);
+    if (config.overrideHost !== undefined && !(typeof config.overrideHost === "string" && isValidDomain(config.overrideHost))) {
+        throw new Error(`Invalid overrideHost "${config.overrideHost}" in profile "${name}": use a hostname like sinkhole.example.com`);
+    }
+
+    if (config.blockReason !== undefined && !(typeof config.blockReason === "string" && config.blockReason.trim())) {
+        throw new Error(`Invalid blockReason in profile "${name}": use a non-empty text`);
+    }
+    if (config.blockPageUrl !== undefined) {
+        if (typeof config.blockPageUrl !== "string" || !/^https?:\/\//.test(config.blockPageUrl) || !URL.canParse(config.blockPageUrl)) {
+            throw new Error(`Invalid blockPageUrl "${config.blockPageUrl}" in profile "${name}": use an http or https URL`);
+        }
+        if (config.blockPage === false) {
+            throw new Error(`Profile "${name}" has a blockPageUrl but disables the block page: remove one of them`);
+        }
+    }
+};
+
+/**
+ * Validates and normalizes a profile from the configuration file.
+ * Settings that aren't given fall back to the environment variables.
+ * @param {Object} config The profile configuration.
+ * @returns {Profile}
+ * @throws {Error} If the profile is invalid.
+ */
+const parseProfile = (config) => {
+    const defaults = getDefaultProfile();
+    const { name } = config;
+
+    if (typeof name !== "string" || !PROFILE_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid profile name "${name}": use lowercase letters, digits and dashes`);
+    }
+
+    const action = config.action ?? "block";
+    if (!PROFILE_ACTIONS.includes(action)) {
+        throw new Error(`Invalid action "${action}" in profile "${name}": use one of ${PROFILE_ACTIONS.join(", ")}`);
+    }
+    checkActionSettings(config, action);
+
+    if (config.share !== undefined && !(config.share > 0 && config.share <= 1)) {
+        throw new Error(`Invalid share ${config.share} in profile "${name}": use a number between 0 and 1`);
+    }
+
+    for (const key of ["ipShare", "urlShare"]) {
+        if (config[key] !== undefined && !(config[key] >= 0 && config[key] <= 1)) {
+            throw new Error(`Invalid ${key} ${config[key]} in profile "${name}": use a number between 0 and 1`);
+        }
+    }
+
+    if (config.regexBudget !== undefined && !(Number.isInteger(config.regexBudget) && config.regexBudget >= 0)) {
+        throw new Error(`Invalid regexBudget ${config.regexBudget} in profile "${name}": use a whole number of characters, 0 to disable`);
+    }
+
+    if (config.foldThreshold !== undefined && !(Number.isInteger(config.foldThreshold) && config.foldThreshold >= 2)) {
+        throw new Error(`Invalid foldThreshold ${config.foldThreshold} in profile "${name}": use a whole number of at least 2`);
+    }
+
+    const targeting = parseTargeting(config, `profile "${name}"`);
+    // Profiles limited to DNS rules don't inherit SNI and HTTP filtering, they can only refuse it when asked explicitly
+    const dnsOnlyReason = getDnsOnlyReason({ action, targeting });
+    for (const key of ["sni", "http"]) {
+        if (dnsOnlyReason && config[key] === true) throw new Error(`Profile "${name}" ${dnsOnlyReason}: set ${key} to false`);
+    }
+
+    return {
+        name,
+        enabled: config.enabled ?? true,
+        blocklists: config.blocklists ?? [],
+        allowlists: config.allowlists ?? [],
+        blocklistDomains: joinEntries(config.blocklistDomains),
+        allowlistDomains: joinEntries(config.allowlistDomains),
+        ruleName: config.ruleName,
+        action,
+        overrideIps: config.overrideIps,
+        overrideHost: config.overrideHost,
+        // A custom block page is only shown if the block page is
+        blockPage: config.blockPage ?? (config.blockPageUrl ? true : defaults.blockPage),
+        blockReason: config.blockReason,
+        blockPageUrl: config.blockPageUrl,
+        sni: config.sni ?? (!dnsOnlyReason && defaults.sni),
+        http: config.http ?? (!dnsOnlyReason && defaults.http),
+        publishAllowlist: config.publishAllowlist ?? defaults.publishAllowlist,
+        foldThreshold: config.foldThreshold ?? defaults.foldThreshold,
+        share: config.share,
+        ipShare: config.ipShare ?? defaults.ipShare,
+        urlShare: config.urlShare ?? defaults.urlShare,
+        regexBudget: config.regexBudget ?? defaults.regexBudget,
+        precedence: config.precedence,
+        allowPrecedence: config.allowPrecedence,
+        targeting,
+    };
+};
+
+/**
+ * Validates and normalizes an account from the configuration file.
+ * API tokens are never part of the configuration file, only the names of the environment variables holding them.
+ * @param {Object} config The account configuration.
+ * @returns {Account}
+ * @throws {Error} If the account is invalid.
+ */
+const parseAccount = (config) => {
+    const { name } = config;
+
+    if (typeof name !== "string" || !PROFILE_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid account name "${name}": use lowercase letters, digits and dashes`);
+    }
+
+    if (config.apiToken !== undefined) {
+        throw new Error(`Account "${name}" has an apiToken: give the name of the environment variable holding it as apiTokenEnv instead`);
+    }
+
+    for (const key of ["accountIdEnv", "apiTokenEnv"]) {
+        if (config[key] !== undefined && !ENV_NAME_PATTERN.test(config[key])) {
+            throw new Error(`Invalid ${key} "${config[key]}" in account "${name}": use the name of an environment variable`);
+        }
+    }
+    if (!config.apiTokenEnv) throw new Error(`Account "${name}" needs an apiTokenEnv`);
+    if (!config.accountId === !config.accountIdEnv) throw new Error(`Account "${name}" needs either an accountId or an accountIdEnv`);
+
+    if (config.listItemLimit !== undefined && !(Number.isInteger(config.listItemLimit) && config.listItemLimit > 0)) {
+        throw new Error(`Invalid listItemLimit ${config.listItemLimit} in account "${name}": use a positive whole number`);
+    }
+
+    return {
+        name,
+        accountId: config.accountId ?? process.env[config.accountIdEnv],
+        apiToken: process.env[config.apiTokenEnv],
+        credentials: config.accountId ? config.apiTokenEnv : `${config.accountIdEnv} and ${config.apiTokenEnv}`,
+        listItemLimit: config.listItemLimit ?? LIST_ITEM_LIMIT,
+        blockPage: config.blockPage,
+        sni: config.sni,
+        http: config.http,
+    };
+};
+
+/**
+ * Reads the configuration file.
+ * @returns {Promise<Object|null>} Null if there is none.
+ */
+const readConfig = memoize(async () => {
+    let text;
+    try {
+        text = await readFile(resolve(CONFIG_PATH), "utf8");
+    } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+    }
+
+    return JSON.parse(text);
+});
+
+/**
+ * Loads the policy profiles.
+ * If there is no configuration file, a single profile is built from the environment variables.
+ * @returns {Promise<Profile[]>}
+ * @throws {Error} If the configuration file is invalid.
+ */
+export const loadProfiles = async () => {
+    const config = await readConfig();
+    // A configuration file may only configure accounts
+    if (!config?.profiles) return [getDefaultProfile()];
+
+    if (!Array.isArray(config.profiles) || !config.profiles.length) {
+        throw new Error(`${CONFIG_PATH} must contain a non-empty "profiles" array`);
+    }
+
+    const profiles = config.profiles.map((profile) => parseProfile(profile));
+    const names = profiles.map(({ name }) => name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) throw new Error(`Duplicate profile "${duplicate}" in ${CONFIG_PATH}`);
+
+    const totalShare = profiles.reduce((total, { share }) => total + (share ?? 0), 0);
+    if (totalShare > 1) throw new Error(`The shares of the profiles in ${CONFIG_PATH} add up to more than 1`);
+
+    return profiles;
+};
+
+/**
+ * Loads the accounts to sync to, only those selected with `CGPS_ACCOUNT` if set.
+ * If the configuration file has no accounts, the account is configured through environment variables.
+ * @returns {Promise<Account[]>}
+ * @throws {Error} If the accounts are invalid or an unknown account is selected.
+ */
+export const loadAccounts = async () => {
+    const config = await readConfig();
+    if (!config?.accounts) {
+        if (SELECTED_ACCOUNTS) throw new Error(`No accounts are configured in ${CONFIG_PATH}, so none can be selected`);
+        return [getDefaultAccount()];
+    }
+
+    if (!Array.isArray(config.accounts) || !config.accounts.length) {
+        throw new Error(`"accounts" in ${CONFIG_PATH} must be a non-empty array`);
+    }
+
+    const accounts = config.accounts.map((account) => parseAccount(account));
+    const names = accounts.map(({ name }) => name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) throw new Error(`Duplicate account "${duplicate}" in ${CONFIG_PATH}`);
+
+    if (!SELECTED_ACCOUNTS) return accounts;
+
+    const unknown = SELECTED_ACCOUNTS.find((name) => !names.includes(name));
+    if (unknown) throw new Error(`Unknown account "${unknown}", use one of ${names.join(", ")}`);
+    return accounts.filter(({ name }) => SELECTED_ACCOUNTS.includes(name));
+};
+
+/**
+ * Splits the list item limit between the enabled profiles.
+ * Profiles without a share split what's left evenly.
+ * @param {Profile[]} profiles The profiles.
+ * @param {number} limit The list item limit of the account.
+ * @returns {Map<Profile, number>} The item budget of every enabled profile.
+ */
+export const getBudgets = (profiles, limit) => {
+    const enabled = profiles.filter((profile) => profile.enabled);
+    const explicitShare = enabled.reduce((total, { share }) => total + (share ?? 0), 0);
+    const implicitCount = enabled.filter(({ share }) => share === undefined).length;
+    const implicitShare = implicitCount ? (1 - explicitShare) / implicitCount : 0;
+
+    return new Map(enabled.map((profile) => [profile, Math.floor(limit * (profile.share ?? implicitShare))]));
+};
+
+/**
+ * Gets the number of items of a profile's budget its IP addresses and blocks may use.
+ * @param {Profile} profile The profile.
+ * @param {number} budget The item budget of the profile.
+ * @returns {number}
+ */
+export const getIpBudget = (profile, budget) => Math.floor(budget * profile.ipShare);
+
+/**
+ * Gets the number of items of a profile's budget its URLs may use, none if HTTP filtering is disabled.
+ * @param {Profile} profile The profile.
+ * @param {number} budget The item budget of the profile.
+ * @returns {number}
+ */
+export const getUrlBudget = (profile, budget) => (profile.http ? Math.floor(budget * profile.urlShare) : 0);
+
+/**
+ * Gets why the rules of a profile can only filter DNS queries, if they can't filter other traffic:
+ * locations only exist for DNS queries, and some actions only apply to them.
+ * @param {Profile} profile The profile.
+ * @returns {string|undefined} The reason, undefined if the profile can have network and HTTP rules.
+ */
+export const getDnsOnlyReason = (profile) => {
+    if (profile.targeting?.locations) return "targets locations, which only DNS rules can match";
+    if (DNS_ONLY_ACTIONS.includes(profile.action)) return `uses the ${profile.action} action, which only DNS rules support`;
+    return undefined;
+};
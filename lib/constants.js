@@ -6,21 +6,186 @@ export const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 
 export const CHAT_ID = process.env.TELEGRAM_CHAT_ID;
 
+// Notification channels. Every channel that is configured is used.
+export const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL;
+
+export const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL;
+
+// Receives the run results as JSON.
+export const WEBHOOK_URL = process.env.WEBHOOK_URL;
+
+// The URL of an ntfy topic, e.g. https://ntfy.sh/my-topic, and an optional access token.
+export const NTFY_URL = process.env.NTFY_URL;
+
+export const NTFY_TOKEN = process.env.NTFY_TOKEN;
+
+// Healthchecks-style heartbeat URL. "/start" and "/fail" are appended when a run starts and fails.
+export const PING_URL = process.env.PING_URL;
+
 export const LIST_ITEM_LIMIT = isNaN(process.env.CLOUDFLARE_LIST_ITEM_LIMIT)
     ? 300000
     : parseInt(process.env.CLOUDFLARE_LIST_ITEM_LIMIT, 10);
 
 export const LIST_ITEM_SIZE = 1000;
 
-export const API_HOST = "https://api.cloudflare.com/client/v4";
+// Share of the list item budget of a profile that IP addresses and blocks may use, between 0 and 1.
+// What they don't use is left to the domains.
+export const IP_LIST_SHARE = process.env.IP_LIST_SHARE
+    ? parseFloat(process.env.IP_LIST_SHARE)
+    : 0.1;
+
+// Share of the list item budget of a profile that URLs may use if HTTP filtering is enabled, between 0 and 1.
+// What they don't use is left to the domains.
+export const URL_LIST_SHARE = process.env.URL_LIST_SHARE
+    ? parseFloat(process.env.URL_LIST_SHARE)
+    : 0.1;
+
+// Number of characters the expressions of the regex rules of a profile may add up to. Wildcard and regex
+// rules, e.g. `ads*.example.com` or `/^ad[0-9]+\./`, are compiled into these rules. Disabled if 0.
+export const REGEX_RULE_BUDGET = process.env.REGEX_RULE_BUDGET
+    ? parseInt(process.env.REGEX_RULE_BUDGET, 10)
+    : 0;
+
+// Maximum length of the Wirefilter expression of a single rule. Rules referencing more lists or patterns
+// than fit are split into numbered rules.
+export const RULE_EXPRESSION_MAX_LENGTH = process.env.RULE_EXPRESSION_MAX_LENGTH
+    ? parseInt(process.env.RULE_EXPRESSION_MAX_LENGTH, 10)
+    : 4000;
+
+// Point this at another server, e.g. the mock Gateway API the tests use.
+export const API_HOST = process.env.CLOUDFLARE_API_HOST || "https://api.cloudflare.com/client/v4";
+
+// Time limit of a single Cloudflare API request in milliseconds. Requests that time out are retried.
+export const API_TIMEOUT = process.env.CLOUDFLARE_API_TIMEOUT
+    ? Number(process.env.CLOUDFLARE_API_TIMEOUT)
+    : 60000;
+
+// A timeout that isn't positive would abort every request
+if (!(Number.isFinite(API_TIMEOUT) && API_TIMEOUT > 0)) {
+    throw new Error(`Invalid CLOUDFLARE_API_TIMEOUT "${process.env.CLOUDFLARE_API_TIMEOUT}": use a positive number of milliseconds`);
+}
+
+// Maximum number of Cloudflare API requests started per second.
+// Cloudflare allows 1200 requests per 5 minutes, which is 4 per second.
+export const API_RATE_LIMIT = process.env.CLOUDFLARE_API_RATE_LIMIT
+    ? Number(process.env.CLOUDFLARE_API_RATE_LIMIT)
+    : 4;
+
+// Without a rate, requests would never be started
+if (!(Number.isFinite(API_RATE_LIMIT) && API_RATE_LIMIT > 0)) {
+    throw new Error(`Invalid CLOUDFLARE_API_RATE_LIMIT "${process.env.CLOUDFLARE_API_RATE_LIMIT}": use a positive number of requests per second`);
+}
+
+// Maximum number of Cloudflare API requests running at once, e.g. lists being created.
+export const API_CONCURRENCY = process.env.CLOUDFLARE_API_CONCURRENCY
+    ? Number(process.env.CLOUDFLARE_API_CONCURRENCY)
+    : 4;
+
+// Without a worker, concurrent requests would never run
+if (!(Number.isInteger(API_CONCURRENCY) && API_CONCURRENCY > 0)) {
+    throw new Error(`Invalid CLOUDFLARE_API_CONCURRENCY "${process.env.CLOUDFLARE_API_CONCURRENCY}": use a positive whole number`);
+}
+
+// Maximum total time in seconds a run waits for Cloudflare's rate limits before giving up.
+export const API_MAX_RATE_LIMIT_WAIT = process.env.CLOUDFLARE_API_MAX_RATE_LIMIT_WAIT
+    ? Number(process.env.CLOUDFLARE_API_MAX_RATE_LIMIT_WAIT)
+    : 600;
+
+// An invalid limit would make every rate limit fail the run, or none of them
+if (!(Number.isFinite(API_MAX_RATE_LIMIT_WAIT) && API_MAX_RATE_LIMIT_WAIT > 0)) {
+    throw new Error(`Invalid CLOUDFLARE_API_MAX_RATE_LIMIT_WAIT "${process.env.CLOUDFLARE_API_MAX_RATE_LIMIT_WAIT}": use a positive number of seconds`);
+}
 
 export const BLOCK_PAGE_ENABLED = !!parseInt(process.env.BLOCK_PAGE_ENABLED, 10);
 
 export const BLOCK_BASED_ON_SNI = !!parseInt(process.env.BLOCK_BASED_ON_SNI, 10);
 
+// Uploads the URLs of path-specific rules, e.g. `||example.com/ads/*`, into URL lists and blocks them
+// with an HTTP rule. Only works with the WARP client and TLS inspection.
+export const BLOCK_BASED_ON_HTTP = !!parseInt(process.env.BLOCK_BASED_ON_HTTP, 10);
+
+// "incremental" only touches lists whose items changed, "rollout" creates a new generation of lists
+// next to the live one and swaps the rules over to it before deleting the old generation.
+export const SYNC_MODE = process.env.SYNC_MODE === "rollout" ? "rollout" : "incremental";
+
+// Uploads the allowlists into their own lists and allows them with a rule evaluated before the block rules.
+export const PUBLISH_ALLOWLIST = !!parseInt(process.env.PUBLISH_ALLOWLIST, 10);
+
+// Precedence of the block rules. Left to Cloudflare if not set.
+export const RULE_PRECEDENCE = process.env.RULE_PRECEDENCE
+    ? parseInt(process.env.RULE_PRECEDENCE, 10)
+    : undefined;
+
+// Precedence of the allow rules. Defaults to right before the block rules.
+export const ALLOW_RULE_PRECEDENCE = process.env.ALLOW_RULE_PRECEDENCE
+    ? parseInt(process.env.ALLOW_RULE_PRECEDENCE, 10)
+    : undefined;
+
+// When the item limit is exceeded, parent domains with at least this many blocked subdomains
+// are blocked instead of their subdomains. Disabled if not set.
+export const FOLD_SUBDOMAINS_THRESHOLD = process.env.FOLD_SUBDOMAINS_THRESHOLD
+    ? parseInt(process.env.FOLD_SUBDOMAINS_THRESHOLD, 10)
+    : undefined;
+
+// Fetches the DNS query counts of the account from Gateway analytics, so that domains that are
+// actually queried are kept first when the item limit is exceeded. Needs the Account Analytics Read permission.
+export const GATEWAY_ANALYTICS = !!parseInt(process.env.GATEWAY_ANALYTICS, 10);
+
+// How many hours of DNS queries are counted, up to the retention of your plan.
+export const GATEWAY_ANALYTICS_HOURS = process.env.GATEWAY_ANALYTICS_HOURS
+    ? parseFloat(process.env.GATEWAY_ANALYTICS_HOURS)
+    : 24;
+
+// Maximum number of queried domains fetched, the most queried first.
+export const GATEWAY_ANALYTICS_LIMIT = process.env.GATEWAY_ANALYTICS_LIMIT
+    ? parseInt(process.env.GATEWAY_ANALYTICS_LIMIT, 10)
+    : 10000;
+
+// Number of most-blocked domains listed in the notification.
+export const TOP_BLOCKED_DOMAINS = process.env.TOP_BLOCKED_DOMAINS
+    ? parseInt(process.env.TOP_BLOCKED_DOMAINS, 10)
+    : 10;
+
+// Path of a JSON file listing the domains dropped to stay within the item limit, and why.
+export const DROPPED_REPORT = process.env.DROPPED_REPORT;
+
+// Paths of the per-source analytics report, as JSON and as Markdown.
+export const SOURCE_REPORT = process.env.SOURCE_REPORT;
+export const SOURCE_REPORT_MARKDOWN = process.env.SOURCE_REPORT_MARKDOWN;
+
+// The job summary of GitHub Actions, which the source report is added to.
+export const GITHUB_STEP_SUMMARY = process.env.GITHUB_STEP_SUMMARY;
+
+// Safety checks that abort a sync before it changes anything. All of them are disabled if not set.
+// Minimum number of domains blocked across all profiles.
+export const MIN_DOMAINS = process.env.MIN_DOMAINS
+    ? parseInt(process.env.MIN_DOMAINS, 10)
+    : undefined;
+
+// Maximum percentage by which the blocked domains of a profile may shrink compared to the deployed lists.
+export const MAX_SHRINK_PERCENT = process.env.MAX_SHRINK_PERCENT
+    ? parseFloat(process.env.MAX_SHRINK_PERCENT)
+    : undefined;
+
+// Treats every source as required, so that a sync is aborted if any of them fails to load.
+export const REQUIRE_ALL_SOURCES = !!parseInt(process.env.REQUIRE_ALL_SOURCES, 10);
+
+// Applies a sync even if the safety checks fail.
+export const FORCE = !!parseInt(process.env.FORCE, 10);
+
+export const DRY_RUN = !!parseInt(process.env.DRY_RUN, 10);
+
+// Path of a JSON file the sync plan is written to, e.g. for reviewing changes in pull requests.
+export const PLAN_OUTPUT = process.env.PLAN_OUTPUT;
+
 export const DEBUG = !!parseInt(process.env.DEBUG, 10);
 
+// Time to wait when rate limited by a server that doesn't say for how long.
 export const CLOUDFLARE_RATE_LIMITING_COOLDOWN_TIME = 2 * 60 * 1000;
+// Base delay in milliseconds before a failed request is retried. It doubles with every attempt.
+export const RETRY_BASE_DELAY = process.env.RETRY_BASE_DELAY
+    ? parseInt(process.env.RETRY_BASE_DELAY, 10)
+    : 1000;
 export const RATE_LIMITING_HTTP_ERROR_CODE = 429;
 
 export const USER_DEFINED_ALLOWLIST_URLS = process.env.ALLOWLIST_URLS
@@ -31,7 +196,50 @@ export const USER_DEFINED_BLOCKLIST_URLS = process.env.BLOCKLIST_URLS
     ? process.env.BLOCKLIST_URLS.split("\n").filter((x) => x)
     : undefined;
 
-// These are the default blocklists and allowlists that are used by the script if the user doesn't provide any URLs by themselves.
+// Domains or rules given directly in the configuration, one per line.
+export const USER_DEFINED_ALLOWLIST_DOMAINS = process.env.ALLOWLIST_DOMAINS;
+
+export const USER_DEFINED_BLOCKLIST_DOMAINS = process.env.BLOCKLIST_DOMAINS;
+
+// Names of the accounts of the configuration file to sync to, one per line. All of them if not set.
+export const SELECTED_ACCOUNTS = process.env.CGPS_ACCOUNT
+    ? process.env.CGPS_ACCOUNT.split("\n").filter((x) => x)
+    : undefined;
+
+// Configuration file with policy profiles. Without it, a single profile is built from the environment variables.
+export const CONFIG_PATH = process.env.CGPS_CONFIG || "cgps.config.json";
+
+// Every file in the allowlist and blocklist subdirectories of this directory is used as a source.
+export const LISTS_DIR = process.env.LISTS_DIR || "lists";
+
+// Directory remote sources are cached in, so that conditional requests can be made
+// and the last good copy can be used if a source fails.
+export const SOURCE_CACHE_DIR = process.env.SOURCE_CACHE_DIR || ".cgps-cache/sources";
+
+// Maximum age in hours of a cached copy used in place of a failing source.
+export const SOURCE_CACHE_MAX_AGE = process.env.SOURCE_CACHE_MAX_AGE
+    ? parseFloat(process.env.SOURCE_CACHE_MAX_AGE)
+    : 7 * 24;
+
+// Time limit of a single request for a remote source in milliseconds. Requests that time out are retried.
+export const SOURCE_TIMEOUT = process.env.SOURCE_TIMEOUT
+    ? parseInt(process.env.SOURCE_TIMEOUT, 10)
+    : 60000;
+
+// Directory snapshots of the deployed CGPS lists and rules are saved in.
+export const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || ".cgps-cache/snapshots";
+
+// Number of snapshots kept. Older snapshots are deleted when a new one is saved.
+export const SNAPSHOT_RETENTION = process.env.SNAPSHOT_RETENTION
+    ? parseInt(process.env.SNAPSHOT_RETENTION, 10)
+    : 10;
+
+// Saves a snapshot before every sync that changes anything. Set to 0 to disable.
+export const SNAPSHOT_BEFORE_SYNC = process.env.SNAPSHOT_BEFORE_SYNC
+    ? !!parseInt(process.env.SNAPSHOT_BEFORE_SYNC, 10)
+    : true;
+
+// These are the default blocklists and allowlists that are used by the script if the user doesn't provide any lists by themselves.
 // The files are dynamically fetched from the internet, therefore it's important to choose only the most reliable sources.
 // Commented out lists are subject to removal.
 
@@ -0,0 +1,146 @@
+import { RULE_EXPRESSION_MAX_LENGTH } from "./constants.js";
+
+/**
+ * Joins the clauses of an expression. Any of them matching is enough.
+ */
+const OR = " or ";
+
+/**
+ * Joins an expression and the clause restricting it.
+ */
+const AND = " and ";
+
+/**
+ * The length of the IDs of Cloudflare lists, which are UUIDs
+ */
+const LIST_ID_LENGTH = 36;
+
+/**
+ * Fields holding a single value rather than an array
+ */
+const SCALAR_FIELDS = new Set(["net.dst.ip", "http.request.uri"]);
+
+/**
+ * Thrown when an expression is longer than a rule may be.
+ */
+export class ExpressionTooLongError extends Error {
+    /**
+     * @param {number} length The length of the expression.
+     * @param {number} maxLength The maximum length.
+     */
+    constructor(length, maxLength) {
+        super(`Expression of ${length} characters exceeds the limit of ${maxLength}`);
+        this.name = "ExpressionTooLongError";
+        this.length = length;
+        this.maxLength = maxLength;
+    }
+}
+
+/**
+ * Quotes a value as a Wirefilter string.
+ * @param {string} value The value.
+ * @returns {string}
+ */
+const quote = (value) => `"${value.replaceAll("\\", "\\\\").replaceAll("\"", "\\\"")}"`;
+
+/**
+ * Formats values as a Wirefilter set, e.g. `{"a" "b"}`.
+ * @param {string[]} values The values.
+ * @returns {string}
+ */
+const formatSet = (values) => `{${values.map((value) => quote(value)).join(" ")}}`;
+
+/**
+ * Builds the clause matching a field against a list, e.g. `any(dns.domains[*] in $id)`.
+ * @param {string} field The field, e.g. "dns.domains".
+ * @param {string} id The ID of the list.
+ * @returns {string}
+ */
+export const listClause = (field, id) => (SCALAR_FIELDS.has(field) ? `${field} in $${id}` : `any(${field}[*] in $${id})`);
+
+/**
+ * Builds the clause matching the values of an array field against an RE2 pattern, e.g. `any(dns.domains[*] matches "^ads\.")`.
+ * @param {string} field The field, e.g. "dns.domains".
+ * @param {string} pattern The pattern.
+ * @returns {string}
+ */
+export const matchClause = (field, pattern) => `any(${field}[*] matches ${quote(pattern)})`;
+
+/**
+ * Builds the clause matching DNS queries from the given locations.
+ * @param {string[]} ids The IDs of the DNS locations.
+ * @returns {string}
+ */
+export const locationClause = (ids) => `dns.location in ${formatSet(ids)}`;
+
+/**
+ * Builds the identity clause matching users by email.
+ * @param {string[]} emails The email addresses.
+ * @returns {string}
+ */
+export const emailClause = (emails) => `identity.email in ${formatSet(emails)}`;
+
+/**
+ * Builds the identity clause matching users in any of the given groups.
+ * @param {string[]} groups The names of the groups.
+ * @returns {string}
+ */
+export const groupClause = (groups) => `any(identity.groups.name[*] in ${formatSet(groups)})`;
+
+/**
+ * Builds the device posture clause matching devices that passed any of the given checks.
+ * @param {string[]} ids The IDs of the device posture checks.
+ * @returns {string}
+ */
+export const deviceClause = (ids) => `any(device_posture.checks.passed[*] in ${formatSet(ids)})`;
+
+/**
+ * Gets the length of the expression made of the given clauses.
+ * @param {string[]} clauses The clauses.
+ * @returns {number}
+ */
+export const measureExpression = (clauses) =>
+    clauses.reduce((length, clause) => length + clause.length, 0) + OR.length * Math.max(0, clauses.length - 1);
+
+/**
+ * Builds an expression matching any of the given clauses.
+ * @param {string[]} clauses The clauses.
+ * @param {number} [maxLength=RULE_EXPRESSION_MAX_LENGTH] The maximum length of the expression.
+ * @returns {string}
+ * @throws {ExpressionTooLongError} If the expression is too long for a rule
+ */
+export const buildExpression = (clauses, maxLength = RULE_EXPRESSION_MAX_LENGTH) => {
+    const length = measureExpression(clauses);
+    if (length > maxLength) throw new ExpressionTooLongError(length, maxLength);
+
+    return clauses.join(OR);
+};
+
+/**
+ * Restricts an expression to the traffic matching a scope, e.g. a location clause.
+ * @param {string} expression The expression.
+ * @param {string} [scope] The clause the traffic must match as well. The expression is left as is if omitted.
+ * @returns {string}
+ */
+export const scopeExpression = (expression, scope) => (scope ? `(${expression})${AND}${scope}` : expression);
+
+/**
+ * Gets the maximum length of an expression that is restricted to a scope afterwards.
+ * @param {string} [scope] The clause the expression is restricted to.
+ * @param {number} [maxLength=RULE_EXPRESSION_MAX_LENGTH] The maximum length of the scoped expression.
+ * @returns {number}
+ */
+export const getScopedMaxLength = (scope, maxLength = RULE_EXPRESSION_MAX_LENGTH) =>
+    (scope ? maxLength - scopeExpression("", scope).length : maxLength);
+
+/**
+ * Gets how many lists a rule matching a field can reference without exceeding the maximum length.
+ * Plans are made before new lists have an ID, so every ID is assumed to be as long as a UUID.
+ * @param {string} field The field, e.g. "dns.domains".
+ * @param {number} [maxLength=RULE_EXPRESSION_MAX_LENGTH] The maximum length of an expression.
+ * @returns {number}
+ */
+export const getListsPerRule = (field, maxLength = RULE_EXPRESSION_MAX_LENGTH) => {
+    const clause = listClause(field, "0".repeat(LIST_ID_LENGTH)).length;
+    return Math.max(1, Math.floor((maxLength + OR.length) / (clause + OR.length)));
+};
@@ -0,0 +1,85 @@
+import { FORCE, MAX_SHRINK_PERCENT, MIN_DOMAINS, REQUIRE_ALL_SOURCES } from "./constants.js";
+
+/**
+ * Thrown when a sync is aborted because it failed the safety checks.
+ */
+export class SafetyError extends Error {
+    /**
+     * @param {string[]} violations The failed checks.
+     */
+    constructor(violations) {
+        super(
+            `Safety checks failed, nothing was changed:\n${violations.map((violation) => `• ${violation}`).join("\n")}\n` +
+            "Set FORCE=1 to apply the changes anyway."
+        );
+        this.name = "SafetyError";
+        this.violations = violations;
+    }
+}
+
+/**
+ * Checks a sync plan and the outcome of its sources against the safety thresholds.
+ * @param {Object} plan The sync plan.
+ * @param {import("./compile.js").SourceResult[]} sources The outcome of every source.
+ * @returns {string[]} The failed checks.
+ */
+export const checkSafety = (plan, sources) => {
+    const violations = [];
+    const blocked = Object.entries(plan.domains)
+        .filter(([, kinds]) => kinds.block)
+        .map(([label, { block }]) => ({ label, ...block }));
+
+    const total = blocked.reduce((sum, { total }) => sum + total, 0);
+    if (MIN_DOMAINS !== undefined && total < MIN_DOMAINS) {
+        violations.push(`Only ${total} domains would be blocked, fewer than MIN_DOMAINS (${MIN_DOMAINS})`);
+    }
+
+    if (MAX_SHRINK_PERCENT !== undefined) {
+        for (const { label, current, total } of blocked) {
+            if (!current) continue;
+
+            const shrink = ((current - total) / current) * 100;
+            if (shrink > MAX_SHRINK_PERCENT) {
+                violations.push(
+                    `The blocked domains of profile "${label}" would shrink from ${current} to ${total} ` +
+                    `(-${shrink.toFixed(1)}%), more than MAX_SHRINK_PERCENT (${MAX_SHRINK_PERCENT}%)`
+                );
+            }
+        }
+    }
+
+    // Sources shared by several profiles are only checked once
+    const checked = new Set();
+    for (const { location, kind, count, error, min, required } of sources) {
+        const key = `${kind}:${location}`;
+        if (checked.has(key)) continue;
+        checked.add(key);
+
+        if (error && (required || REQUIRE_ALL_SOURCES)) {
+            violations.push(`Required ${kind} ${location} failed: ${error}`);
+        } else if (count < min) {
+            violations.push(`The ${kind} ${location} has ${count} domains, fewer than its minimum of ${min}`);
+        }
+    }
+
+    return violations;
+};
+
+/**
+ * Aborts a sync that fails the safety checks, unless `FORCE` is set.
+ * @param {Object} plan The sync plan.
+ * @param {import("./compile.js").SourceResult[]} sources The outcome of every source.
+ * @throws {SafetyError} If a check fails.
+ */
+export const enforceSafety = (plan, sources) => {
+    const violations = checkSafety(plan, sources);
+    if (!violations.length) return;
+
+    if (FORCE) {
+        console.warn(`Safety checks failed, applying anyway because FORCE is set:`);
+        for (const violation of violations) console.warn(`• ${violation}`);
+        return;
+    }
+
+    throw new SafetyError(violations);
+};
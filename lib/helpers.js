@@ -1,8 +1,15 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+import { getDefaultAccount } from "./config.js";
 import {
-    ACCOUNT_ID,
+    API_CONCURRENCY,
     API_HOST,
-    API_TOKEN,
+    API_MAX_RATE_LIMIT_WAIT,
+    API_RATE_LIMIT,
+    API_TIMEOUT,
+    DEBUG,
 } from "./constants.js";
+import { createRateLimiter } from "./limiter.js";
 import { fetchRetry } from "./utils.js";
 
 if (!globalThis.fetch) {
@@ -18,37 +25,175 @@ if (!globalThis.fetch) {
     globalThis.fetch = (await import("node-fetch")).default;
 }
 
+/**
+ * The account the requests of the current async context are made for.
+ * @type {AsyncLocalStorage<import("./config.js").Account>}
+ */
+const accountStorage = new AsyncLocalStorage();
+
+const defaultAccount = getDefaultAccount();
+
+/**
+ * Gets the account requests are made for: the one of the enclosing `withAccount`,
+ * or the account configured through environment variables.
+ * @returns {import("./config.js").Account}
+ */
+export const getAccount = () => accountStorage.getStore() ?? defaultAccount;
+
+/**
+ * Makes every request of a function, including those of the calls it makes, for an account.
+ * @template T
+ * @param {import("./config.js").Account} account The account.
+ * @param {() => Promise<T>} fn The function.
+ * @returns {Promise<T>}
+ */
+export const withAccount = (account, fn) => accountStorage.run(account, fn);
+
+/**
+ * The rate limiters of every account. They space out the requests of the whole run,
+ * so that concurrent list operations stay within Cloudflare's rate limits.
+ * @type {Map<string, import("./limiter.js").RateLimiter>}
+ */
+const limiters = new Map();
+
+/**
+ * Gets the rate limiter of an account.
+ * @param {string} accountId The account ID.
+ * @returns {import("./limiter.js").RateLimiter}
+ */
+const getLimiter = (accountId) => {
+    if (!limiters.has(accountId)) {
+        limiters.set(accountId, createRateLimiter({
+            rate: API_RATE_LIMIT,
+            concurrency: API_CONCURRENCY,
+            maxWait: API_MAX_RATE_LIMIT_WAIT * 1000,
+        }));
+    }
+
+    return limiters.get(accountId);
+};
+
+/**
+ * An error reported by the Cloudflare API, or a request that never got a response.
+ */
+export class CloudflareApiError extends Error {
+    /**
+     * @param {string} message What went wrong.
+     * @param {Object} details
+     * @param {string} details.method The HTTP method of the request.
+     * @param {string} details.path The path of the request.
+     * @param {number} [details.status] The HTTP status, if there was a response.
+     * @param {Array<{code: number, message: string}>} [details.errors] The errors Cloudflare reported.
+     * @param {string|null} [details.requestId] The Cloudflare request ID (`cf-ray`), if there was a response.
+     * @param {Error} [details.cause] The underlying error, e.g. a timeout.
+     */
+    constructor(message, { method, path, status, errors = [], requestId = null, cause }) {
+        super(message, cause ? { cause } : undefined);
+        this.name = "CloudflareApiError";
+        this.method = method;
+        this.path = path;
+        this.status = status;
+        this.errors = errors;
+        this.requestId = requestId;
+    }
+
+    /**
+     * The Cloudflare error codes of the response.
+     * @returns {number[]}
+     */
+    get codes() {
+        return this.errors.map(({ code }) => code);
+    }
+}
+
+/**
+ * Parses the body of an API response.
+ * @param {string} text The body.
+ * @returns {Object|null} Null if the body isn't JSON, e.g. an HTML error page.
+ */
+const parseBody = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Builds the error of a failed API response.
+ * @param {Object} request The method and path of the request.
+ * @param {number} status The HTTP status.
+ * @param {string|null} requestId The Cloudflare request ID.
+ * @param {Object|null} data The parsed body.
+ * @param {string} text The raw body.
+ * @returns {CloudflareApiError}
+ */
+const toApiError = ({ method, path }, status, requestId, data, text) => {
+    const errors = Array.isArray(data?.errors) ? data.errors : [];
+    const reason = errors.length
+        ? errors.map(({ code, message }) => `[${code}] ${message}`).join(", ")
+        : (text || "").slice(0, 200) || "no error details";
+
+    return new CloudflareApiError(
+        `${method} ${path} failed with HTTP ${status}: ${reason}${requestId ? ` (request ID ${requestId})` : ""}`,
+        { method, path, status, errors, requestId }
+    );
+};
+
 /**
  * Makes an authenticated request to Cloudflare API
- * @param {string} url The URL to send the request to
+ * @param {string} path The path of the request, relative to `API_HOST`.
  * @param {RequestInit} options Fetch options
  * @returns {Promise<any>} Parsed JSON response
- * @throws {Error} If authentication is missing or request fails
+ * @throws {CloudflareApiError} If the request fails or Cloudflare reports an error
  */
-const request = async (url, options) => {
+const request = async (path, options) => {
+    const { name, accountId, apiToken, credentials } = getAccount();
+
     // Validate required auth credentials
-    if (!API_TOKEN || !ACCOUNT_ID) {
-        throw new Error("Missing required credentials: CLOUDFLARE_API_TOKEN and CLOUDFLARE_ACCOUNT_ID are required");
+    if (!apiToken || !accountId) {
+        throw new Error(name
+            ? `Missing credentials of account "${name}": ${credentials} must be set`
+            : "Missing required credentials: CLOUDFLARE_API_TOKEN and CLOUDFLARE_ACCOUNT_ID are required");
     }
 
     // Prepare authentication headers
-    const headers = { Authorization: `Bearer ${API_TOKEN}` };
+    const headers = { Authorization: `Bearer ${apiToken}` };
+    const details = { method: options.method ?? "GET", path };
+    const startedAt = Date.now();
 
-    let data;
+    let response;
     try {
-        const response = await fetchRetry(url, {
+        response = await fetchRetry(`${API_HOST}${path}`, {
             ...options,
             headers: {
                 "Content-Type": "application/json",
                 ...options.headers,
                 ...headers,
             },
-        });
-
-        return await response.json();
+        }, { timeout: API_TIMEOUT, limiter: getLimiter(accountId) });
     } catch (error) {
-        throw new Error(`${(data && 'errors' in data) ? data.errors[0].message : data} - ${error}`);
+        // Retries ran out, report what the server said the last time if it responded
+        if (error.status) {
+            throw toApiError(details, error.status, error.headers?.get("cf-ray") ?? null, parseBody(error.body), error.body);
+        }
+        throw new CloudflareApiError(`${details.method} ${path} failed: ${error.message}`, { ...details, cause: error });
     }
+
+    const requestId = response.headers.get("cf-ray");
+    const text = await response.text();
+    const data = parseBody(text);
+
+    if (DEBUG) {
+        console.log(`${details.method} ${path} → ${response.status} in ${Date.now() - startedAt}ms (request ID ${requestId ?? "unknown"})`);
+    }
+
+    // Cloudflare may report errors with a successful status
+    if (!response.ok || !data || data.success === false) {
+        throw toApiError(details, response.status, requestId, data, text);
+    }
+
+    return data;
 };
 
 /**
@@ -58,25 +203,73 @@ const request = async (url, options) => {
  * @returns {Promise}
  */
 export const requestGateway = (path, options) =>
-    request(`${API_HOST}/accounts/${ACCOUNT_ID}/gateway${path}`, options);
+    request(`/accounts/${getAccount().accountId}/gateway${path}`, options);
 
 /**
- * Normalizes a domain string by removing common prefixes and patterns
- * @param {string} value The domain string to normalize
- * @param {boolean} isAllowlisting Whether this is an allowlist entry
- * @returns {string|null} Normalized domain or null if invalid
+ * Runs a query against the Cloudflare GraphQL Analytics API.
+ * @param {string} query The GraphQL query.
+ * @param {Object} [variables] The variables of the query.
+ * @returns {Promise<Object>} The `data` of the response.
+ * @throws {CloudflareApiError} If the request fails or the query has errors
  */
-export const normalizeDomain = (value, isAllowlisting) => {
-    // Remove allowlist prefix if applicable
-    const init = (isAllowlisting) ? value.replace("@@||", "") : value;
-
-    // Remove common prefixes and suffixes
-    const normalized = init
-        .replace(/(0\.0\.0\.0|127\.0\.0\.1|::1|::)\s+/, "") // Remove IP addresses
-        .replace("||", "")
-        .replace("^$important", "")
-        .replace("*.", "")
-        .replace("^", "");
-
-    return normalized;
+export const requestGraphql = async (query, variables = {}) => {
+    const path = "/graphql";
+    const { data, errors } = await request(path, {
+        method: "POST",
+        body: JSON.stringify({ query, variables }),
+    });
+
+    // GraphQL reports errors with a successful status, and without the usual envelope
+    if (errors?.length || !data) {
+        const messages = (errors ?? []).map(({ message }) => message).join(", ") || "no data returned";
+        throw new CloudflareApiError(`POST ${path} failed: ${messages}`, {
+            method: "POST",
+            path,
+            status: 200,
+            errors: (errors ?? []).map(({ message, extensions }) => ({ code: extensions?.code, message })),
+        });
+    }
+
+    return data;
+};
+
+/**
+ * Fetches every page of a paginated Zero Trust gateway endpoint, one page at a time.
+ * Endpoints that don't paginate are fetched once.
+ * @param {string} path The path which will be appended to the request URL.
+ * @param {Object} [options]
+ * @param {number} [options.perPage] The page size, the API default if omitted.
+ * @returns {AsyncGenerator<Array<any>>} The results of every page.
+ */
+export async function* requestGatewayPages(path, { perPage } = {}) {
+    let fetched = 0;
+
+    for (let page = 1; ; page++) {
+        const query = new URLSearchParams({ page: String(page), ...(perPage ? { per_page: String(perPage) } : {}) });
+        const { result, result_info } = await requestGateway(
+            `${path}${path.includes("?") ? "&" : "?"}${query}`,
+            { method: "GET" }
+        );
+        const results = result || [];
+        fetched += results.length;
+        yield results;
+
+        const isLastPage = !result_info || results.length === 0 ||
+            (result_info.total_pages !== undefined ? page >= result_info.total_pages : fetched >= (result_info.total_count ?? fetched));
+        if (isLastPage) break;
+    }
+}
+
+/**
+ * Fetches all results of a paginated Zero Trust gateway endpoint.
+ * @param {string} path The path which will be appended to the request URL.
+ * @param {Object} [options]
+ * @param {number} [options.perPage] The page size, the API default if omitted.
+ * @returns {Promise<{success: true, result: Array<any>}>} The results of every page, like a single response.
+ */
+export const requestGatewayAll = async (path, options) => {
+    const result = [];
+    for await (const page of requestGatewayPages(path, options)) result.push(...page);
+
+    return { success: true, result };
 };
@@ -0,0 +1,216 @@
+/**
+ * A range of IP addresses, as given by an address or a CIDR block.
+ * @typedef {Object} IpRange
+ * @property {4|6} version The IP version.
+ * @property {bigint} start The first address of the range.
+ * @property {bigint} end The last address of the range.
+ */
+
+/**
+ * The number of bits of an address, by IP version
+ */
+const ADDRESS_BITS = { 4: 32, 6: 128 };
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+const IPV6_GROUP_PATTERN = /^[\da-f]{1,4}$/;
+
+/**
+ * Parses an IPv4 address.
+ * @param {string} value The address, e.g. "192.0.2.1".
+ * @returns {bigint|null} Null if the address is invalid.
+ */
+const parseIpv4 = (value) => {
+    const match = IPV4_PATTERN.exec(value);
+    if (!match) return null;
+
+    let address = 0n;
+    for (const octet of match.slice(1)) {
+        // Leading zeros are read as octal by some tools, so they're ambiguous
+        if (octet.length > 1 && octet.startsWith("0")) return null;
+        if (Number(octet) > 255) return null;
+        address = (address << 8n) | BigInt(octet);
+    }
+
+    return address;
+};
+
+/**
+ * Parses an IPv6 address, which may be compressed with `::` or end in an IPv4 address.
+ * @param {string} value The address, e.g. "2001:db8::1".
+ * @returns {bigint|null} Null if the address is invalid.
+ */
+const parseIpv6 = (value) => {
+    const halves = value.toLowerCase().split("::");
+    if (halves.length > 2) return null;
+
+    const parseGroups = (half) => {
+        if (!half) return [];
+
+        const groups = half.split(":");
+        const last = groups.at(-1);
+        // An embedded IPv4 address counts as two groups, e.g. "::ffff:192.0.2.1"
+        if (last.includes(".")) {
+            const ipv4 = parseIpv4(last);
+            if (ipv4 === null) return null;
+            groups.splice(-1, 1, (ipv4 >> 16n).toString(16), (ipv4 & 0xffffn).toString(16));
+        }
+
+        return groups.every((group) => IPV6_GROUP_PATTERN.test(group)) ? groups : null;
+    };
+
+    const head = parseGroups(halves[0]);
+    const tail = halves.length === 2 ? parseGroups(halves[1]) : [];
+    if (!head || !tail) return null;
+    // An embedded IPv4 address must come last
+    if (halves.length === 2 && halves[0].includes(".")) return null;
+
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+    return [...head, ...Array(missing).fill("0"), ...tail]
+        .reduce((address, group) => (address << 16n) | BigInt(`0x${group}`), 0n);
+};
+
+/**
+ * Parses an IP address or CIDR block. Bits after the prefix are cleared, so that
+ * "192.0.2.1/24" is the range of "192.0.2.0/24".
+ * @param {string} value The address or block, e.g. "192.0.2.1", "198.51.100.0/24" or "2001:db8::/32".
+ * @returns {IpRange|null} Null if the value isn't a valid address or block. A prefix of 0 isn't,
+ * since it would match every address.
+ */
+export const parseIpRange = (value) => {
+    const [address, prefixText, ...rest] = value.trim().split("/");
+    if (rest.length) return null;
+
+    const version = address.includes(":") ? 6 : 4;
+    const start = version === 4 ? parseIpv4(address) : parseIpv6(address);
+    if (start === null) return null;
+
+    const bits = ADDRESS_BITS[version];
+    if (prefixText !== undefined && !/^[1-9]\d{0,2}$/.test(prefixText)) return null;
+    const prefix = prefixText === undefined ? bits : Number(prefixText);
+    if (prefix > bits) return null;
+
+    const size = 1n << BigInt(bits - prefix);
+    const network = start & ~(size - 1n);
+    return { version, start: network, end: network + size - 1n };
+};
+
+/**
+ * Formats an IPv4 address.
+ * @param {bigint} address The address.
+ * @returns {string}
+ */
+const formatIpv4 = (address) =>
+    [24n, 16n, 8n, 0n].map((shift) => (address >> shift) & 0xffn).join(".");
+
+/**
+ * Formats an IPv6 address in its canonical form, with the longest run of zero groups compressed.
+ * @param {bigint} address The address.
+ * @returns {string}
+ */
+const formatIpv6 = (address) => {
+    const groups = Array.from({ length: 8 }, (_, index) => ((address >> BigInt((7 - index) * 16)) & 0xffffn).toString(16));
+
+    // Only runs of at least two zero groups are compressed, the first of the longest
+    let best = { start: -1, length: 1 };
+    for (let index = 0; index < 8; index++) {
+        let length = 0;
+        while (groups[index + length] === "0") length++;
+        if (length > best.length) best = { start: index, length };
+        index += length;
+    }
+    if (best.start === -1) return groups.join(":");
+
+    return `${groups.slice(0, best.start).join(":")}::${groups.slice(best.start + best.length).join(":")}`;
+};
+
+/**
+ * Formats a CIDR block. Single addresses are formatted without a prefix.
+ * @param {4|6} version The IP version.
+ * @param {bigint} start The first address of the block.
+ * @param {number} prefix The prefix length.
+ * @returns {string}
+ */
+const formatBlock = (version, start, prefix) => {
+    const address = version === 4 ? formatIpv4(start) : formatIpv6(start);
+    return prefix === ADDRESS_BITS[version] ? address : `${address}/${prefix}`;
+};
+
+/**
+ * Splits a range of addresses into the fewest CIDR blocks covering it exactly.
+ * @param {IpRange} range The range.
+ * @returns {Array<{value: string, start: bigint, end: bigint}>} The blocks, in address order.
+ */
+const toBlocks = ({ version, start, end }) => {
+    const bits = ADDRESS_BITS[version];
+    const blocks = [];
+
+    for (let address = start; address <= end;) {
+        // The largest block starting at the address that is aligned and fits the range
+        let size = address === 0n ? 1n << BigInt(bits) : address & -address;
+        while (size > end - address + 1n) size >>= 1n;
+
+        blocks.push({
+            value: formatBlock(version, address, bits - size.toString(2).length + 1),
+            start: address,
+            end: address + size - 1n,
+        });
+        address += size;
+    }
+
+    return blocks;
+};
+
+/**
+ * Normalizes an IP address or CIDR block, e.g. "192.0.2.1/24" to "192.0.2.0/24" or "2001:DB8:0::1/128" to "2001:db8::1".
+ * @param {string} value The address or block.
+ * @returns {string|null} Null if the value isn't a valid address or block.
+ */
+export const normalizeIpRange = (value) => {
+    const range = parseIpRange(value);
+    return range && toBlocks(range)[0].value;
+};
+
+/**
+ * Merges overlapping and adjacent IP ranges into the fewest CIDR blocks covering the same addresses.
+ * A merged block gets the highest score of the ranges it overlaps.
+ * @param {Map<string, number>} scores The score of every normalized address or block.
+ * @returns {Map<string, number>} The score of every merged block, in address order, IPv4 first.
+ */
+export const mergeIpRanges = (scores) => {
+    const ranges = [...scores]
+        .map(([value, score]) => ({ ...parseIpRange(value), score }))
+        .sort((a, b) => (a.version - b.version) || (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+    // Runs of overlapping and adjacent ranges, with the ranges they consist of
+    const merged = [];
+    for (const range of ranges) {
+        const last = merged.at(-1);
+        if (last && last.version === range.version && range.start <= last.end + 1n) {
+            if (range.end > last.end) last.end = range.end;
+            last.ranges.push(range);
+        } else {
+            merged.push({ version: range.version, start: range.start, end: range.end, ranges: [range] });
+        }
+    }
+
+    return new Map(merged.flatMap((run) => toBlocks(run).map(({ value, start, end }) => [
+        value,
+        run.ranges.reduce((max, range) => (range.start <= end && range.end >= start ? Math.max(max, range.score) : max), 0),
+    ])));
+};
+
+/**
+ * Keeps the IP blocks listed by the most and highest-priority sources within a limit.
+ * @param {Map<string, number>} scores The score of every block, in address order.
+ * @param {number} limit The maximum number of blocks.
+ * @returns {{ranges: string[], dropped: number}} The kept blocks, the highest score first, and the number of dropped ones.
+ */
+export const trimIpRanges = (scores, limit) => {
+    // The sort is stable, so blocks with the same score stay in address order
+    const ranges = [...scores.keys()].sort((a, b) => scores.get(b) - scores.get(a));
+
+    return { ranges: ranges.slice(0, Math.max(0, limit)), dropped: Math.max(0, ranges.length - limit) };
+};
@@ -0,0 +1,144 @@
+/**
+ * Thrown when waiting for rate limits would exceed the total wait allowed for a run.
+ */
+export class RateLimitWaitExceededError extends Error {
+    /**
+     * @param {number} waited How long the run already waited for rate limits, in milliseconds.
+     * @param {number} maxWait The total wait allowed, in milliseconds.
+     */
+    constructor(waited, maxWait) {
+        super(`Rate limited for ${Math.round(waited / 1000)}s in total, giving up after ${Math.round(maxWait / 1000)}s`);
+        this.name = "RateLimitWaitExceededError";
+        this.waited = waited;
+        this.maxWait = maxWait;
+    }
+}
+
+/**
+ * Gets how long the server asks clients to wait, from the `Retry-After` header or,
+ * once no requests remain, the reset time of the rate limit headers.
+ * Supports `RateLimit: "default";r=0;t=30`, `RateLimit-Remaining`/`RateLimit-Reset`
+ * and their `X-RateLimit-` variants.
+ * @param {Headers} headers The response headers.
+ * @returns {number|null} The delay in milliseconds, null if the headers don't ask to wait.
+ */
+export const getRetryDelay = (headers) => {
+    const retryAfter = headers.get("retry-after");
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+        // Retry-After may also be an HTTP date
+        const date = Date.parse(retryAfter);
+        if (Number.isFinite(date)) return Math.max(0, date - Date.now());
+    }
+
+    const combined = /\br=(\d+).*?\bt=(\d+)/.exec(headers.get("ratelimit") ?? "");
+    const remaining = combined?.[1] ?? headers.get("ratelimit-remaining") ?? headers.get("x-ratelimit-remaining");
+    const reset = combined?.[2] ?? headers.get("ratelimit-reset") ?? headers.get("x-ratelimit-reset");
+    if (remaining === null || remaining === undefined || Number(remaining) > 0 || !Number.isFinite(Number(reset))) {
+        return null;
+    }
+
+    // Reset times are usually seconds from now, but some servers send a Unix timestamp
+    const seconds = Number(reset);
+    return Math.max(0, seconds > 1e9 ? seconds * 1000 - Date.now() : seconds * 1000);
+};
+
+/**
+ * A scheduler that spaces out calls with a token bucket and runs a bounded number at once.
+ * After being throttled, it pauses for the requested time, halves its rate and
+ * recovers gradually with every successful call.
+ * @typedef {Object} RateLimiter
+ * @property {<T>(fn: () => Promise<T>) => Promise<T>} schedule Runs a call once the rate and concurrency allow it.
+ * @property {(delay: number) => void} throttle Pauses every call for the given number of milliseconds and slows down.
+ * @property {() => {rate: number, waited: number, active: number, queued: number}} getStats The current rate, the total
+ * time paused in milliseconds, and the number of running and waiting calls.
+ */
+
+/**
+ * Creates a rate limiter.
+ * @param {Object} options
+ * @param {number} options.rate The maximum number of calls started per second.
+ * @param {number} [options.burst] The number of calls that may start at once after a quiet period. Defaults to the rate.
+ * @param {number} [options.concurrency=Infinity] The maximum number of calls running at once.
+ * @param {number} [options.maxWait=Infinity] The total time in milliseconds the limiter may pause for being throttled.
+ * @returns {RateLimiter}
+ */
+export const createRateLimiter = ({ rate, burst = Math.max(1, rate), concurrency = Infinity, maxWait = Infinity }) => {
+    // Throttling never slows down below a tenth of the configured rate
+    const minRate = rate / 10;
+    const queue = [];
+    let currentRate = rate;
+    let tokens = burst;
+    let refilledAt = Date.now();
+    let pausedUntil = 0;
+    let waited = 0;
+    let active = 0;
+    let timer = null;
+
+    const refill = () => {
+        const now = Date.now();
+        // No tokens are earned while paused
+        if (now <= refilledAt) return;
+
+        tokens = Math.min(burst, tokens + ((now - refilledAt) / 1000) * currentRate);
+        refilledAt = now;
+    };
+
+    const wakeUpIn = (delay) => {
+        timer = setTimeout(() => {
+            timer = null;
+            pump();
+        }, Math.ceil(delay));
+    };
+
+    const pump = () => {
+        if (timer) return;
+
+        while (queue.length && active < concurrency) {
+            refill();
+            const now = Date.now();
+            if (now < pausedUntil) return wakeUpIn(pausedUntil - now);
+            if (tokens < 1) return wakeUpIn(((1 - tokens) / currentRate) * 1000);
+
+            tokens--;
+            active++;
+            const { fn, resolve, reject } = queue.shift();
+            Promise.resolve()
+                .then(fn)
+                .then((value) => {
+                    // Speed up again step by step after being throttled
+                    currentRate = Math.min(rate, currentRate + rate / 20);
+                    resolve(value);
+                }, reject)
+                .finally(() => {
+                    active--;
+                    pump();
+                });
+        }
+    };
+
+    return {
+        schedule: (fn) => new Promise((resolve, reject) => {
+            queue.push({ fn, resolve, reject });
+            pump();
+        }),
+
+        throttle: (delay) => {
+            const now = Date.now();
+            const until = now + delay;
+            const extra = Math.max(0, until - Math.max(now, pausedUntil));
+            if (waited + extra > maxWait) throw new RateLimitWaitExceededError(waited + extra, maxWait);
+
+            // Calls that were already running when the limiter was throttled only extend the pause
+            if (now >= pausedUntil) currentRate = Math.max(minRate, currentRate / 2);
+            waited += extra;
+            pausedUntil = Math.max(pausedUntil, until);
+            tokens = 0;
+            refilledAt = pausedUntil;
+        },
+
+        getStats: () => ({ rate: currentRate, waited, active, queued: queue.length }),
+    };
+};
@@ -0,0 +1,168 @@
+/**
+ * Name of the DNS rule created by CGPS
+ */
+export const DNS_RULE_NAME = "CGPS Filter Lists";
+
+/**
+ * Name of the SNI rule created by CGPS
+ */
+export const SNI_RULE_NAME = "CGPS Filter Lists - SNI Based Filtering";
+
+/**
+ * Name of the DNS rule allowing the domains of the allowlists
+ */
+export const ALLOW_DNS_RULE_NAME = "CGPS Allow Lists";
+
+/**
+ * Name of the SNI rule allowing the domains of the allowlists
+ */
+export const ALLOW_SNI_RULE_NAME = "CGPS Allow Lists - SNI Based Filtering";
+
+/**
+ * Description of every rule created by CGPS. It's how CGPS recognizes its rules.
+ */
+export const RULE_DESCRIPTION = "Filter lists created by Cloudflare Gateway Pi-hole Scripts. Avoid editing this rule. Changing the name of this rule will break the script.";
+
+/**
+ * Name parts of the lists created by CGPS, by kind of list
+ */
+const LIST_KIND_NAMES = {
+    block: "List",
+    allow: "Allow List",
+    ip: "IP List",
+    url: "URL List",
+};
+
+/**
+ * Cloudflare list types, by kind of list
+ */
+const LIST_KIND_TYPES = {
+    block: "DOMAIN",
+    allow: "DOMAIN",
+    ip: "IP",
+    url: "URL",
+};
+
+const LIST_NAME_PATTERN = /^CGPS (?:\[([a-z0-9-]+)\] )?(List|Allow List|IP List|URL List)(?: - Gen (\d+))? - Chunk (\d+)$/;
+
+const RULE_PROFILE_PATTERN = / Profile: ([a-z0-9-]+)\.$/;
+
+const LEGACY_RULE_NAMES = [DNS_RULE_NAME, SNI_RULE_NAME, ALLOW_DNS_RULE_NAME, ALLOW_SNI_RULE_NAME];
+
+/**
+ * Builds the name prefix of a profile. The profile configured through
+ * environment variables has none, so older CGPS lists and rules keep their names.
+ * @param {string|null} profile The name of the profile.
+ * @returns {string}
+ */
+const getProfilePrefix = (profile) => (profile ? `CGPS [${profile}]` : "CGPS");
+
+/**
+ * Builds the name of a CGPS list.
+ * Generation 0 uses the name format of older CGPS versions.
+ * @param {number} generation The generation the list belongs to.
+ * @param {number} chunk The chunk number of the list.
+ * @param {"block"|"allow"|"ip"|"url"} [kind="block"] The kind of list.
+ * @param {string|null} [profile=null] The profile the list belongs to.
+ * @returns {string}
+ */
+export const formatListName = (generation, chunk, kind = "block", profile = null) =>
+    generation
+        ? `${getProfilePrefix(profile)} ${LIST_KIND_NAMES[kind]} - Gen ${generation} - Chunk ${chunk}`
+        : `${getProfilePrefix(profile)} ${LIST_KIND_NAMES[kind]} - Chunk ${chunk}`;
+
+/**
+ * Parses the name of a CGPS list.
+ * @param {string} name The name of the list.
+ * @returns {{profile: string|null, kind: "block"|"allow"|"ip"|"url", generation: number, chunk: number}|null} Null if the list wasn't created by CGPS.
+ */
+export const parseListName = (name) => {
+    const match = LIST_NAME_PATTERN.exec(name);
+    if (!match) return null;
+
+    return {
+        profile: match[1] ?? null,
+        kind: Object.keys(LIST_KIND_NAMES).find((kind) => LIST_KIND_NAMES[kind] === match[2]),
+        generation: match[3] ? parseInt(match[3], 10) : 0,
+        chunk: parseInt(match[4], 10),
+    };
+};
+
+/**
+ * Gets the Cloudflare type of a kind of list.
+ * @param {"block"|"allow"|"ip"|"url"} kind The kind of list.
+ * @returns {"DOMAIN"|"IP"|"URL"}
+ */
+export const getListType = (kind) => LIST_KIND_TYPES[kind];
+
+/**
+ * Checks if a list was created by CGPS.
+ * @param {string} name The name of the list.
+ * @returns {boolean}
+ */
+export const isCgpsList = (name) => parseListName(name) !== null;
+
+/**
+ * Builds the names of the rules of a profile.
+ * @param {{name: string|null, ruleName?: string}} profile The profile.
+ * @returns {{block: {dns: string, l4: string}, allow: {dns: string, l4: string}, ip: {dns: string, l4: string}, url: {http: string}, regex: {dns: (index: number) => string}}}
+ */
+export const getRuleNames = ({ name, ruleName }) => {
+    const prefix = getProfilePrefix(name);
+    const blockName = ruleName || (name ? `${prefix} Filter Lists` : DNS_RULE_NAME);
+    const allowName = name ? `${prefix} Allow Lists` : ALLOW_DNS_RULE_NAME;
+
+    return {
+        block: { dns: blockName, l4: `${blockName} - SNI Based Filtering` },
+        allow: { dns: allowName, l4: `${allowName} - SNI Based Filtering` },
+        ip: { dns: `${blockName} - Resolved IPs`, l4: `${blockName} - IP Based Filtering` },
+        url: { http: `${blockName} - HTTP` },
+        regex: { dns: (index) => `${blockName} - Regex ${index}` },
+    };
+};
+
+/**
+ * Builds the name of a numbered part of a rule, for rules referencing more lists than fit in one expression.
+ * The first part keeps the name of the rule, so that rules created before they were split keep working.
+ * @param {string} name The name of the rule.
+ * @param {number} part The number of the part, starting at 1.
+ * @returns {string} The name, e.g. "CGPS Filter Lists - Part 2".
+ */
+export const formatRulePartName = (name, part) => (part > 1 ? `${name} - Part ${part}` : name);
+
+/**
+ * Builds the description of a rule, tagged with the profile it belongs to.
+ * @param {string|null} profile The name of the profile.
+ * @returns {string}
+ */
+export const formatRuleDescription = (profile) =>
+    profile ? `${RULE_DESCRIPTION} Profile: ${profile}.` : RULE_DESCRIPTION;
+
+/**
+ * Gets the profile a rule belongs to.
+ * @param {{name: string, description?: string}} rule The rule.
+ * @returns {string|null|undefined} The name of the profile, null for the default profile or undefined if the rule wasn't created by CGPS.
+ */
+export const getRuleProfile = ({ name, description }) => {
+    if (description?.startsWith(RULE_DESCRIPTION)) {
+        return RULE_PROFILE_PATTERN.exec(description)?.[1] ?? null;
+    }
+
+    // Rules created by older CGPS versions may have another description
+    return LEGACY_RULE_NAMES.includes(name) ? null : undefined;
+};
+
+/**
+ * Checks if a rule was created by CGPS.
+ * @param {{name: string, description?: string}} rule The rule.
+ * @returns {boolean}
+ */
+export const isCgpsRule = (rule) => getRuleProfile(rule) !== undefined;
+
+/**
+ * Extracts the IDs of the lists referenced by a Wirefilter expression.
+ * @param {string} expression The Wirefilter expression of a rule.
+ * @returns {string[]}
+ */
+export const getReferencedListIds = (expression) =>
+    [...(expression || "").matchAll(/\$([\w-]+)/g)].map((match) => match[1]);
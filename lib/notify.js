@@ -0,0 +1,309 @@
+import {
+    BOT_TOKEN,
+    CHAT_ID,
+    DISCORD_WEBHOOK_URL,
+    NTFY_TOKEN,
+    NTFY_URL,
+    PING_URL,
+    SLACK_WEBHOOK_URL,
+    WEBHOOK_URL
+} from "./constants.js";
+
+/**
+ * The outcome of a sync.
+ * @typedef {Object} RunResult
+ * @property {"success"|"failure"} status Whether the sync succeeded.
+ * @property {boolean} dryRun Whether the sync only made a plan.
+ * @property {string} startedAt When the sync started, as an ISO date.
+ * @property {string} finishedAt When the sync finished, as an ISO date.
+ * @property {number} duration How long the sync took, in milliseconds.
+ * @property {{processed: number, allowlisted: number, blocked: number, ips: number, urls: number, patterns: number}} [totals] Domain, IP, URL and pattern counts, if the lists were compiled.
+ * @property {{added: number, removed: number}} [changes] Blocked domains added and removed, if a plan was made.
+ * @property {{created: number, updated: number, deleted: number}} [lists] List changes, if a plan was made.
+ * @property {Array<{location: string, age: number, error: string}>} fallbacks Sources replaced by their cached copy.
+ * @property {string} [snapshot] The snapshot saved before the changes were applied, with a single account.
+ * @property {AccountResult[]} [accounts] The outcome of every account, if accounts are configured.
+ * `changes` and `lists` are then the sums over the accounts.
+ * @property {Array<{domain: string, blocked: number}>} [topBlocked] The domains with the most blocked DNS queries,
+ * if Gateway analytics are enabled.
+ * @property {string} [error] Why the sync failed.
+ */
+
+/**
+ * The outcome of the sync of an account.
+ * @typedef {Object} AccountResult
+ * @property {string} name The name of the account.
+ * @property {"success"|"failure"} status Whether the sync of the account succeeded.
+ * @property {{added: number, removed: number}} [changes] Blocked domains added and removed, if a plan was made.
+ * @property {{created: number, updated: number, deleted: number}} [lists] List changes, if a plan was made.
+ * @property {string} [snapshot] The snapshot saved before the changes were applied.
+ * @property {string} [error] Why the sync of the account failed.
+ */
+
+/**
+ * A notification.
+ * `start`, `success` and `failure` follow a sync, `alert` reports a problem while it runs.
+ * @typedef {Object} NotificationEvent
+ * @property {"start"|"success"|"failure"|"alert"} type The kind of notification.
+ * @property {string} title A short summary.
+ * @property {string} text The message, without the title.
+ * @property {RunResult} [result] The outcome of the sync, for `success` and `failure`.
+ */
+
+/**
+ * A notification channel.
+ * @typedef {Object} Notifier
+ * @property {() => boolean} isEnabled Checks if the channel is configured.
+ * @property {(event: NotificationEvent) => Promise<void>} send Sends a notification.
+ */
+
+/**
+ * Time limit of a notification request in milliseconds, so that an unresponsive channel can't hold up the run
+ */
+const NOTIFY_TIMEOUT = 10000;
+
+/**
+ * Posts JSON to a URL.
+ * @param {string} url The URL.
+ * @param {Object} body The body to post.
+ * @param {Object} [headers] Additional headers.
+ * @returns {Promise<void>}
+ * @throws {Error} If the request fails.
+ */
+const postJson = async (url, body, headers = {}) => {
+    const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(NOTIFY_TIMEOUT),
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+};
+
+/**
+ * Joins the title and text of a notification for chat channels.
+ * @param {NotificationEvent} event The notification.
+ * @returns {string}
+ */
+const toMessage = ({ title, text }) => (text ? `${title}\n\n${text}` : title);
+
+/**
+ * Escapes text for Telegram's HTML parse mode.
+ * @param {string} text The text.
+ * @returns {string}
+ */
+const escapeHtml = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * Sends messages to a Telegram chat.
+ * @type {Notifier}
+ */
+const telegram = {
+    isEnabled: () => !!(BOT_TOKEN && CHAT_ID),
+    send: async (event) => {
+        if (event.type === "start") return;
+
+        await postJson(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
+            chat_id: CHAT_ID,
+            text: escapeHtml(toMessage(event)),
+            parse_mode: "HTML",
+            disable_notification: event.type === "success",
+        });
+    },
+};
+
+/**
+ * Sends messages to a Discord webhook.
+ * @type {Notifier}
+ */
+const discord = {
+    isEnabled: () => !!DISCORD_WEBHOOK_URL,
+    send: async (event) => {
+        if (event.type === "start") return;
+
+        // Discord rejects messages longer than 2000 characters
+        await postJson(DISCORD_WEBHOOK_URL, { content: toMessage(event).slice(0, 2000) });
+    },
+};
+
+/**
+ * Sends messages to a Slack incoming webhook.
+ * @type {Notifier}
+ */
+const slack = {
+    isEnabled: () => !!SLACK_WEBHOOK_URL,
+    send: async (event) => {
+        if (event.type === "start") return;
+
+        await postJson(SLACK_WEBHOOK_URL, { text: toMessage(event) });
+    },
+};
+
+/**
+ * Posts every notification as JSON, including the structured run result.
+ * @type {Notifier}
+ */
+const webhook = {
+    isEnabled: () => !!WEBHOOK_URL,
+    send: (event) => postJson(WEBHOOK_URL, event),
+};
+
+/**
+ * Publishes messages to an ntfy topic.
+ * @type {Notifier}
+ */
+const ntfy = {
+    isEnabled: () => !!NTFY_URL,
+    send: async (event) => {
+        if (event.type === "start") return;
+
+        const isProblem = event.type === "failure" || event.type === "alert";
+        const response = await fetch(NTFY_URL, {
+            method: "POST",
+            headers: {
+                // HTTP headers only carry Latin-1 text
+                Title: event.title.replace(/[^\x20-\x7e]/g, "").trim(),
+                Priority: isProblem ? "high" : "default",
+                Tags: isProblem ? "warning" : "white_check_mark",
+                ...(NTFY_TOKEN ? { Authorization: `Bearer ${NTFY_TOKEN}` } : {}),
+            },
+            body: event.text,
+            signal: AbortSignal.timeout(NOTIFY_TIMEOUT),
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+    },
+};
+
+/**
+ * Pings a healthchecks-style heartbeat URL when a sync starts, succeeds and fails.
+ * @type {Notifier}
+ */
+const heartbeat = {
+    isEnabled: () => !!PING_URL,
+    send: async (event) => {
+        const suffixes = { start: "/start", success: "", failure: "/fail" };
+        if (!(event.type in suffixes)) return;
+
+        const response = await fetch(`${PING_URL.replace(/\/$/, "")}${suffixes[event.type]}`, {
+            method: "POST",
+            body: toMessage(event),
+            signal: AbortSignal.timeout(NOTIFY_TIMEOUT),
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+    },
+};
+
+const NOTIFIERS = new Map(Object.entries({ telegram, discord, slack, webhook, ntfy, heartbeat }));
+
+/**
+ * Sends a notification to every configured channel.
+ * A channel failing never fails the run.
+ * @param {NotificationEvent} event The notification.
+ * @returns {Promise<void>}
+ */
+export const notify = async (event) => {
+    const channels = [...NOTIFIERS].filter(([, notifier]) => notifier.isEnabled());
+    if (!channels.length) {
+        if (event.type !== "start") console.log("Notification skipped - no channel configured");
+        return;
+    }
+
+    await Promise.all(channels.map(async ([name, notifier]) => {
+        try {
+            await notifier.send(event);
+        } catch (error) {
+            console.error(`Failed to send ${name} notification:`, error.message);
+        }
+    }));
+};
+
+/**
+ * Formats a duration for humans.
+ * @param {number} ms The duration in milliseconds.
+ * @returns {string}
+ */
+const formatDuration = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+/**
+ * Builds the notification of a finished sync.
+ * @param {RunResult} result The outcome of the sync.
+ * @returns {NotificationEvent}
+ */
+export const formatRunResult = (result) => {
+    const { status, totals, changes, lists, accounts, fallbacks, topBlocked, error } = result;
+    const lines = [];
+
+    if (error) lines.push(`Error: ${error}`, "");
+
+    if (totals) {
+        lines.push(
+            "📊 Statistics:",
+            `• Total Processed: ${totals.processed}`,
+            `• Allowlisted: ${totals.allowlisted}`,
+            `• Blocked: ${totals.blocked}`
+        );
+        if (totals.ips) lines.push(`• Blocked IPs: ${totals.ips}`);
+        if (totals.urls) lines.push(`• Blocked URLs: ${totals.urls}`);
+        if (totals.patterns) lines.push(`• Blocked patterns: ${totals.patterns}`);
+    }
+    if (changes) {
+        lines.push(`• Added: ${changes.added}`, `• Removed: ${changes.removed}`);
+    }
+    if (lists) {
+        lines.push(`• Lists Created: ${lists.created}`, `• Lists Updated: ${lists.updated}`, `• Lists Deleted: ${lists.deleted}`);
+    }
+    lines.push(`• Duration: ${formatDuration(result.duration)}`);
+
+    if (accounts?.length) {
+        lines.push(
+            "",
+            "🏢 Accounts:",
+            ...accounts.map(({ name, status: accountStatus, changes: accountChanges }) => {
+                if (accountStatus === "failure") return `• ${name}: ❌ failed`;
+                return `• ${name}: ✅ ${accountChanges ? `+${accountChanges.added} / -${accountChanges.removed}` : "no changes"}`;
+            })
+        );
+    }
+
+    if (topBlocked?.length) {
+        lines.push(
+            "",
+            "🚫 Most blocked domains:",
+            ...topBlocked.map(({ domain, blocked }) => `• ${domain} (${blocked})`)
+        );
+    }
+
+    if (fallbacks.length) {
+        lines.push(
+            "",
+            "⚠️ Cached copies used for failed sources:",
+            ...fallbacks.map(({ location, age, error }) => `• ${location} (${Math.round(age)}h old copy, ${error})`)
+        );
+    }
+
+    return {
+        type: status,
+        title: status === "success" ? "✅ Filter Lists Update Complete" : "❌ Filter Lists Update Failed",
+        text: lines.join("\n"),
+        result,
+    };
+};
+
+/**
+ * Sends a notification about a problem while a sync runs.
+ * @param {string} message The problem.
+ * @returns {Promise<void>}
+ */
+export const notifyAlert = (message) => notify({ type: "alert", title: "⚠️ Filter Lists Update Problem", text: message });
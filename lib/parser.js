@@ -0,0 +1,389 @@
+import { parseIpRange } from "./ip.js";
+import { extractDomain, isComment } from "./utils.js";
+
+/**
+ * A rule parsed from a filter list.
+ * @typedef {Object} FilterEntry
+ * @property {string} domain The domain the rule applies to.
+ * @property {boolean} subtree Whether the rule also applies to subdomains.
+ * @property {boolean} exception Whether the rule unblocks the domain instead of blocking it.
+ * @property {Object<string, string|true>} modifiers Modifiers of the rule, e.g. `important`.
+ * @property {string} [ip] The IP address or CIDR block the rule applies to. Rules with an IP have an empty domain.
+ * @property {string} [path] The path, and query, of the URLs of the domain the rule applies to, e.g. `/ads/`.
+ * Rules without a path apply to the whole domain.
+ * @property {string} [wildcard] The domain with wildcards the rule applies to, e.g. `ads*.example.com`.
+ * @property {string} [regex] The regular expression of the domains the rule applies to, e.g. `^ad[0-9]+\.`.
+ * Rules with a wildcard or regex have an empty domain.
+ */
+
+/**
+ * A filter list format.
+ * `parse` returns the entries of a line, an empty array for lines without rules
+ * (e.g. zone file headers) or null if the rule can't be represented in Cloudflare Gateway.
+ * @typedef {Object} FilterParser
+ * @property {(line: string) => boolean} detect Checks if a line looks like this format.
+ * @property {(line: string, context: Object) => FilterEntry[]|null} parse Parses a line.
+ */
+
+/**
+ * IP addresses used to block domains in hosts files and similar formats
+ */
+const NULL_ADDRESSES = new Set(["0.0.0.0", "127.0.0.1", "::", "::1", "0:0:0:0:0:0:0:0", "0:0:0:0:0:0:0:1"]);
+
+/**
+ * Adblock modifiers that don't change which domains are blocked
+ */
+const SUPPORTED_MODIFIERS = new Set(["important", "badfilter", "all"]);
+
+/**
+ * Creates a filter entry.
+ * @param {string} domain The domain of the entry.
+ * @param {Partial<FilterEntry>} [props] Other properties of the entry.
+ * @returns {FilterEntry}
+ */
+const entry = (domain, props = {}) => ({
+    domain: domain.toLowerCase().replace(/\.$/, ""),
+    subtree: false,
+    exception: false,
+    modifiers: {},
+    ...props,
+});
+
+/**
+ * Parses a domain that may be prefixed by `*.` or `.` to include subdomains.
+ * @param {string} value The domain.
+ * @param {Partial<FilterEntry>} [props] Other properties of the entry.
+ * @returns {FilterEntry}
+ */
+const wildcardEntry = (value, props = {}) => {
+    const match = /^(\*\.|\.)?(.*)$/.exec(value);
+    return entry(match[2], { subtree: !!match[1], ...props });
+};
+
+/**
+ * Removes a trailing comment starting with `#` from a line.
+ * @param {string} line The line.
+ * @returns {string}
+ */
+const stripComment = (line) => line.replace(/\s+#.*$/, "").trim();
+
+/**
+ * Parses Adblock-style rules, e.g. `||example.com^$important` or `@@||example.com^`.
+ * @type {FilterParser}
+ */
+const adblock = {
+    detect: (line) => /^(@@)?\|\|?[^|]/.test(line) || /\^(\$.*)?\|?$/.test(line),
+    parse: (line) => {
+        const exception = line.startsWith("@@");
+        const rule = exception ? line.slice(2) : line;
+        // Regex rules like `/^ad[0-9]+\.$/` may contain `$` themselves
+        const isRegex = /^\/.+\/(\$[^/]*)?$/.test(rule);
+        const separator = isRegex ? rule.indexOf("$", rule.lastIndexOf("/")) : rule.lastIndexOf("$");
+        const pattern = separator === -1 ? rule : rule.slice(0, separator);
+        const modifiers = {};
+
+        if (separator !== -1) {
+            for (const modifier of rule.slice(separator + 1).split(",")) {
+                const [name, ...value] = modifier.split("=");
+                modifiers[name.trim()] = value.length ? value.join("=") : true;
+            }
+        }
+
+        // $client, $denyallow, $dnstype and other modifiers limit a rule in ways a list can't express
+        if (Object.keys(modifiers).some((name) => !SUPPORTED_MODIFIERS.has(name))) return null;
+
+        const match = /^(\|\|)?(\|)?(\*\.)?([a-z0-9._-]+)\^?\|?$/i.exec(pattern);
+        if (match) {
+            return [entry(match[4], {
+                subtree: !match[2] || !!match[3],
+                exception,
+                modifiers,
+            })];
+        }
+
+        // URLs of a domain, e.g. `||example.com/ads/*` or `|https://example.com/banner.js|`.
+        // Paths with wildcards in between and rules without a domain match more than a URL list can.
+        const url = /^(?:\|\||\|https?:\/\/)([a-z0-9._-]+)(\/[^*^|\s]*)\*?\^?\|?$/i.exec(pattern);
+        if (url) {
+            return [entry(url[1], {
+                subtree: pattern.startsWith("||"),
+                exception,
+                modifiers,
+                ...(url[2] === "/" ? {} : { path: url[2] }),
+            })];
+        }
+
+        // Domains matching a wildcard or regex, e.g. `||ads*.example.com^` or `/^ad[0-9]+\./`.
+        // Exceptions can't be carved out of them.
+        const wildcard = /^(\|\|)?([a-z0-9._*-]*\*[a-z0-9._*-]*)\^?\|?$/i.exec(pattern);
+        if (exception || !(isRegex || wildcard)) return null;
+
+        return [entry("", {
+            subtree: !!wildcard?.[1],
+            modifiers,
+            ...(isRegex ? { regex: pattern.slice(1, -1) } : { wildcard: wildcard[2] }),
+        })];
+    },
+};
+
+/**
+ * Parses hosts files, e.g. `0.0.0.0 example.com example.net`.
+ * @type {FilterParser}
+ */
+const hosts = {
+    detect: (line) => /^(\d{1,3}(\.\d{1,3}){3}|[\da-f]*:[\da-f:]*)\s+\S/i.test(line),
+    parse: (line) => {
+        const [address, ...domains] = stripComment(line).split(/\s+/);
+        // Entries pointing at real addresses redirect instead of block
+        if (!NULL_ADDRESSES.has(address)) return null;
+
+        return domains.map((domain) => entry(domain));
+    },
+};
+
+/**
+ * Parses dnsmasq configuration, e.g. `address=/example.com/0.0.0.0` or `local=/example.com/`.
+ * @type {FilterParser}
+ */
+const dnsmasq = {
+    detect: (line) => /^(address|server|local)=\//.test(line),
+    parse: (line) => {
+        const match = /^(address|server|local)=\/(.+)\/([^/]*)$/.exec(stripComment(line));
+        if (!match) return null;
+
+        const [, option, domains, target] = match;
+        const blocks =
+            option === "local" ||
+            (option === "server" && target === "") ||
+            (option === "address" && (target === "" || target === "#" || NULL_ADDRESSES.has(target)));
+        // Forwarding and redirects aren't blocks
+        if (!blocks) return null;
+
+        return domains.split("/").filter((domain) => domain).map((domain) => entry(domain, { subtree: true }));
+    },
+};
+
+/**
+ * Unbound local zone types that block a domain and its subdomains
+ */
+const UNBOUND_BLOCKING_ZONES = new Set([
+    "always_nxdomain", "always_refuse", "always_null", "always_deny",
+    "deny", "inform_deny", "refuse", "static", "redirect",
+]);
+
+/**
+ * Unbound local zone types that let a domain resolve normally
+ */
+const UNBOUND_PASSING_ZONES = new Set(["transparent", "typetransparent", "always_transparent", "nodefault"]);
+
+/**
+ * Parses Unbound configuration, e.g. `local-zone: "example.com" always_nxdomain`.
+ * @type {FilterParser}
+ */
+const unbound = {
+    detect: (line) => /^(local-zone|local-data|server):/.test(line),
+    parse: (line) => {
+        if (line === "server:") return [];
+
+        const zone = /^local-zone:\s*"?([^"\s]+)"?\s+(\S+)/.exec(line);
+        if (zone) {
+            const [, domain, type] = zone;
+            if (UNBOUND_BLOCKING_ZONES.has(type)) return [entry(domain, { subtree: true })];
+            if (UNBOUND_PASSING_ZONES.has(type)) return [entry(domain, { subtree: true, exception: true })];
+            return null;
+        }
+
+        const data = /^local-data:\s*"([^"\s]+)\s+(?:\d+\s+)?(?:IN\s+)?(A|AAAA)\s+(\S+)"/i.exec(line);
+        if (data && NULL_ADDRESSES.has(data[3])) return [entry(data[1])];
+
+        return null;
+    },
+};
+
+/**
+ * Parses DNS response policy zones, e.g. `example.com CNAME .` or `*.example.com CNAME .`.
+ * @type {FilterParser}
+ */
+const rpz = {
+    detect: (line) => /^\$(TTL|ORIGIN)\s/.test(line) || /\s(CNAME|SOA)\s/i.test(line),
+    parse: (line, context) => {
+        const record = line.replace(/\s*;.*$/, "");
+        if (!record) return [];
+
+        const origin = /^\$ORIGIN\s+(\S+)/.exec(record);
+        if (origin) {
+            context.origin = origin[1].replace(/\.$/, "");
+            return [];
+        }
+
+        const match = /^(\S+)\s+(?:\d+\s+)?(?:IN\s+)?([A-Z]+)\s+(\S+)/i.exec(record);
+        // Directives, SOA parameters and the like
+        if (!match) return [];
+
+        const [, owner, type, data] = match;
+        if (["SOA", "NS"].includes(type.toUpperCase()) || owner.startsWith("$") || owner === "@") return [];
+
+        // Strip the zone origin from fully qualified owner names
+        let name = owner;
+        if (context.origin && name.endsWith(`.${context.origin}.`)) {
+            name = name.slice(0, -(context.origin.length + 2));
+        }
+
+        const upperType = type.toUpperCase();
+        const blocks =
+            (upperType === "CNAME" && [".", "*.", "rpz-drop."].includes(data)) ||
+            ((upperType === "A" || upperType === "AAAA") && NULL_ADDRESSES.has(data));
+        if (upperType === "CNAME" && data === "rpz-passthru.") return [wildcardEntry(name, { exception: true })];
+        if (!blocks) return null;
+
+        return [wildcardEntry(name)];
+    },
+};
+
+/**
+ * Parses plain domain lists, e.g. `example.com`, `*.example.com` or `ads*.example.com`.
+ * @type {FilterParser}
+ */
+const domains = {
+    detect: (line) => /^(\*\.|\.)?[a-z0-9._-]+$/i.test(stripComment(line)),
+    parse: (line) => {
+        const domain = stripComment(line);
+        if (/^[a-z0-9._-]*\*[a-z0-9._*-]*$/i.test(domain) && !/^\*\.[a-z0-9._-]+$/i.test(domain)) {
+            return [entry("", { wildcard: domain })];
+        }
+        if (!/^(\*\.|\.)?[a-z0-9._-]+$/i.test(domain)) return null;
+
+        return [wildcardEntry(domain)];
+    },
+};
+
+/**
+ * Parses lists of IP addresses and CIDR blocks, e.g. FireHOL netsets or `198.51.100.0/24 ; SBL123` from Spamhaus DROP.
+ * @type {FilterParser}
+ */
+const ips = {
+    detect: (line) => parseIpRange(line.replace(/\s*[;#].*$/, "")) !== null,
+    parse: (line) => {
+        const ip = line.replace(/\s*[;#].*$/, "");
+        if (!ip) return [];
+
+        return [entry("", { ip })];
+    },
+};
+
+/**
+ * Parses lists of URLs, e.g. `http://example.com/malware.exe` as published by URLhaus.
+ * @type {FilterParser}
+ */
+const urls = {
+    detect: (line) => /^https?:\/\/\S+$/i.test(stripComment(line)),
+    parse: (line) => {
+        let url;
+        try {
+            url = new URL(stripComment(line));
+        } catch {
+            return null;
+        }
+        if (!["http:", "https:"].includes(url.protocol)) return null;
+
+        const path = `${url.pathname}${url.search}`;
+        return [entry(url.hostname, path === "/" ? {} : { path })];
+    },
+};
+
+// IP addresses look like plain domains, or like hosts entries if followed by a comment, so IP lists win ties
+const PARSERS = new Map(Object.entries({ ips, adblock, hosts, dnsmasq, unbound, rpz, urls, domains }));
+
+/**
+ * Checks if a filter list format is known.
+ * @param {string} name The name of the format.
+ * @returns {boolean}
+ */
+export const isKnownFormat = (name) => name === "auto" || PARSERS.has(name);
+
+/**
+ * Detects the format of a filter list by sampling its first rules.
+ * @param {string[]} lines The lines of the filter list, without comments.
+ * @returns {string} The name of the format, "domains" if nothing matched.
+ */
+export const detectFormat = (lines) => {
+    const sample = lines.slice(0, 200);
+    let best = { name: "domains", score: 0 };
+
+    for (const [name, parser] of PARSERS) {
+        const score = sample.filter((line) => parser.detect(line)).length;
+        if (score > best.score) best = { name, score };
+    }
+
+    return best.name;
+};
+
+/**
+ * Checks if a line is a comment in any of the supported formats.
+ * @param {string} line The trimmed line.
+ * @returns {boolean}
+ */
+const isFilterComment = (line) =>
+    isComment(line) ||
+    line.startsWith(";") ||
+    (line.startsWith("[") && line.endsWith("]"));
+
+/**
+ * Parses a filter list.
+ * @param {string} text The contents of the filter list.
+ * @param {string} [format="auto"] The format of the list, or "auto" to detect it.
+ * @returns {{format: string, entries: FilterEntry[], rules: number, unsupported: number}}
+ * The detected format, the parsed entries, the number of rules (lines that aren't blank or comments)
+ * and the number of rules that can't be represented
+ */
+export const parseFilterList = (text, format = "auto") => {
+    const lines = text.split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line && !isFilterComment(line));
+    const name = format === "auto" ? detectFormat(lines) : format;
+    const parser = PARSERS.get(name);
+    if (!parser) throw new Error(`Unknown filter list format "${format}"`);
+
+    const context = {};
+    const entries = [];
+    let unsupported = 0;
+
+    for (const line of lines) {
+        const parsed = parser.parse(line, context);
+        if (parsed) entries.push(...parsed);
+        else unsupported++;
+    }
+
+    return { format: name, entries, rules: lines.length, unsupported };
+};
+
+/**
+ * Resolves the rules of a single filter list the way its authors meant them:
+ * `$badfilter` rules disable the rules they name, and exceptions unblock
+ * the domains blocked by other rules of the same list unless those are `$important`.
+ * Exceptions of a domain unblock its URLs too, exceptions of a URL only that URL.
+ * @param {FilterEntry[]} entries The entries of a filter list.
+ * @returns {{blocked: FilterEntry[], exceptions: FilterEntry[]}}
+ */
+export const resolveEntries = (entries) => {
+    const key = ({ domain, subtree, exception, path = "", wildcard = "", regex }) =>
+        `${exception ? "@@" : ""}${subtree ? "||" : "|"}${domain}${path}${wildcard}${regex ? `/${regex}/` : ""}`;
+    const disabled = new Set(entries.filter(({ modifiers }) => modifiers.badfilter).map(key));
+    const active = entries.filter((item) => !item.modifiers.badfilter && !disabled.has(key(item)));
+
+    const exceptions = active.filter(({ exception }) => exception);
+    const domainExceptions = exceptions.filter(({ path }) => !path);
+    const exact = new Set(domainExceptions.filter(({ subtree }) => !subtree).map(({ domain }) => domain));
+    const subtrees = new Set(domainExceptions.filter(({ subtree }) => subtree).map(({ domain }) => domain));
+    const urls = new Set(exceptions.filter(({ path }) => path).map(({ domain, path }) => `${domain}${path}`));
+
+    const blocked = active.filter(({ domain, path, exception, modifiers }) => {
+        if (exception) return false;
+        if (modifiers.important) return true;
+        if (path && urls.has(`${domain}${path}`)) return false;
+
+        return !exact.has(domain) && !extractDomain(domain).some((item) => subtrees.has(item));
+    });
+
+    return { blocked, exceptions };
+};
@@ -0,0 +1,448 @@
+import { writeFile } from "node:fs/promises";
+
+import { fetchQueryCounts, getHits, getTopBlocked, mergeQueryCounts } from "./analytics.js";
+import { compileProfile } from "./compile.js";
+import { getBudgets, getDnsOnlyReason, getIpBudget, getUrlBudget, loadAccounts, loadProfiles } from "./config.js";
+import {
+    DROPPED_REPORT,
+    DRY_RUN,
+    GATEWAY_ANALYTICS,
+    GATEWAY_ANALYTICS_HOURS,
+    GITHUB_STEP_SUMMARY,
+    LIST_ITEM_SIZE,
+    PLAN_OUTPUT,
+    SNAPSHOT_BEFORE_SYNC,
+    SOURCE_REPORT,
+    SOURCE_REPORT_MARKDOWN,
+    TOP_BLOCKED_DOMAINS,
+} from "./constants.js";
+import { enforceSafety, SafetyError } from "./guards.js";
+import { getAccount, withAccount } from "./helpers.js";
+import { formatRunResult, notify } from "./notify.js";
+import { writeSourceReport } from "./report.js";
+import { createSnapshot } from "./snapshot.js";
+import { applySync, getCgpsState, planSync, printPlan, summarizePlan } from "./sync.js";
+
+/**
+ * Validates the credentials required to talk to Cloudflare
+ * @param {import("./config.js").Account} [account] The account, the current one by default
+ * @throws {Error} If required environment variables are missing
+ */
+export function validateEnvironment(account = getAccount()) {
+    if (account.name) {
+        if (!account.accountId || !account.apiToken) {
+            throw new Error(`Missing credentials of account "${account.name}": ${account.credentials} must be set`);
+        }
+        return;
+    }
+
+    const required = [
+        'CLOUDFLARE_API_TOKEN',
+        'CLOUDFLARE_ACCOUNT_ID'
+    ];
+
+    const missing = required.filter(key => !process.env[key]);
+    if (missing.length > 0) {
+        throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Formats the sources that were replaced by their cached copy
+ * @param {Array<{location: string, age: number, error: string}>} fallbacks The sources
+ * @returns {string[]} One line per source
+ */
+const formatFallbacks = (fallbacks) =>
+    fallbacks.map(({ location, age, error }) => `• ${location} (${Math.round(age)}h old copy, ${error})`);
+
+/**
+ * Gets the label of an account for logs and reports
+ * @param {import("./config.js").Account} account The account
+ * @returns {string}
+ */
+const getAccountLabel = ({ name }) => name ?? 'default';
+
+/**
+ * Fetches the DNS query counts of the accounts from Gateway analytics and adds them up.
+ * Analytics only improve the selection of domains, so a failure doesn't fail the run.
+ * @param {import("./config.js").Account[]} accounts The accounts
+ * @returns {Promise<import("./analytics.js").QueryCounts|null>} Null if they couldn't be fetched for any account
+ */
+const fetchQueryCountsSafely = async (accounts) => {
+    console.log(`Fetching the DNS queries of the last ${GATEWAY_ANALYTICS_HOURS} hours from Gateway analytics...`);
+
+    const queryCounts = [];
+    for (const account of accounts) {
+        const suffix = account.name ? ` of account "${account.name}"` : '';
+        try {
+            const accountQueryCounts = await withAccount(account, () => fetchQueryCounts());
+            console.log(`Found queries for ${accountQueryCounts.domains.size} domains${suffix}`);
+            queryCounts.push(accountQueryCounts);
+        } catch (error) {
+            console.warn(`⚠ Failed to fetch Gateway analytics${suffix}, domains are selected without them: ${error.message}`);
+        }
+    }
+
+    return mergeQueryCounts(queryCounts);
+};
+
+/**
+ * Compiles the domains of every configured profile, once for all accounts.
+ * The domains are selected for the largest item limit of the accounts.
+ * @param {import("./config.js").Account[]} [accounts] The accounts, the configured ones by default
+ * @returns {Promise<{
+ *   targets: Array<{profile: import("./config.js").Profile, domains?: {block: string[], allow: string[], ip: string[], url: string[], regex: string[][]}}>,
+ *   sources: import("./compile.js").SourceResult[],
+ *   fallbacks: Array<{location: string, age: number, error: string}>,
+ *   totals: {processed: number, allowlisted: number, blocked: number, ips: number, urls: number, patterns: number},
+ *   report: Object<string, import("./report.js").SourceStats[]>,
+ *   topBlocked?: Array<{domain: string, blocked: number}>
+ * }>} The profiles with their domains, disabled profiles without, the analytics of their sources
+ * and the most blocked domains if Gateway analytics are enabled
+ */
+export async function compileProfiles(accounts) {
+    accounts ??= await loadAccounts();
+    const profiles = await loadProfiles();
+    const limit = Math.max(...accounts.map(({ listItemLimit }) => listItemLimit));
+    const budgets = getBudgets(profiles, limit);
+    const targets = [];
+    const droppedReport = {};
+    const sourceReport = {};
+    const fallbacks = new Map();
+    const sources = [];
+    const totals = {
+        processed: 0,
+        allowlisted: 0,
+        blocked: 0,
+        ips: 0,
+        urls: 0,
+        patterns: 0
+    };
+
+    console.log('Starting domain list processing...');
+
+    const queryCounts = GATEWAY_ANALYTICS ? await fetchQueryCountsSafely(accounts) : null;
+    const hits = queryCounts ? getHits(queryCounts) : undefined;
+
+    for (const profile of profiles) {
+        const label = profile.name ?? 'default';
+
+        if (!profile.enabled) {
+            console.log(`\nProfile "${label}" is disabled, its rules will be disabled.`);
+            targets.push({ profile });
+            continue;
+        }
+
+        console.log(`\nCompiling profile "${label}"...`);
+        // URLs are kept if any account filters HTTP traffic with the profile
+        const compiledProfile = { ...profile, http: accounts.some((account) => getAccountProfile(profile, account).http) };
+        const { block, allow, ip, url, regex, allowlistSize, dropped, fallbacks: profileFallbacks, sources: profileSources, report: profileReport, stats } = await compileProfile(compiledProfile, budgets.get(profile), hits);
+        const numberOfLists = [block, allow, ip, url].reduce((total, items) => total + Math.ceil(items.length / LIST_ITEM_SIZE), 0);
+
+        // Log processing results
+        console.log(`\nProcessing Results (${label}):`);
+        console.log(`✓ Total domains processed: ${stats.processed}`);
+        console.log(`✓ Domains in allowlist: ${allowlistSize}`);
+        console.log(`✓ Domains allowed (skipped): ${stats.allowed}`);
+        console.log(`✓ Duplicate domains: ${stats.duplicates}`);
+        console.log(`✓ Unsupported rules (skipped): ${stats.unsupported}`);
+        if (stats.folded) console.log(`✓ Subdomains folded into their parent: ${stats.folded}`);
+        if (stats.trimmed) console.log(`✓ Domains dropped over the limit: ${stats.trimmed}`);
+        console.log(`✓ Final block domains: ${block.length}`);
+        if (hits) console.log(`✓ Final block domains that were queried: ${stats.queried}`);
+        if (profile.publishAllowlist) console.log(`✓ Final allow domains: ${allow.length}`);
+        if (stats.ipMerged) console.log(`✓ IP addresses and blocks merged into others: ${stats.ipMerged}`);
+        if (stats.ipTrimmed) console.log(`✓ IP addresses and blocks dropped over the limit: ${stats.ipTrimmed}`);
+        if (ip.length) console.log(`✓ Final blocked IP addresses and blocks: ${ip.length}`);
+        if (stats.urlAllowed) console.log(`✓ URLs allowed (skipped): ${stats.urlAllowed}`);
+        if (stats.urlRedundant) console.log(`✓ URLs on blocked domains: ${stats.urlRedundant}`);
+        if (stats.urlTrimmed) console.log(`✓ URLs dropped over the limit: ${stats.urlTrimmed}`);
+        if (url.length) console.log(`✓ Final blocked URLs: ${url.length}`);
+        if (stats.patternRejected) {
+            const reasons = Object.entries(stats.patternRejections).map(([reason, count]) => `${reason}: ${count}`).join(", ");
+            console.log(`✓ Wildcard and regex rules rejected: ${stats.patternRejected} (${reasons})`);
+        }
+        if (stats.patternTrimmed) console.log(`✓ Patterns dropped over the budget: ${stats.patternTrimmed}`);
+        if (stats.patterns) console.log(`✓ Final blocked patterns: ${stats.patterns} in ${regex.length} regex rules`);
+        console.log(`✓ Number of lists needed: ${numberOfLists}`);
+
+        droppedReport[label] = dropped;
+        sourceReport[label] = profileReport;
+        sources.push(...profileSources);
+        // Sources shared by several profiles are only fetched once
+        for (const fallback of profileFallbacks) fallbacks.set(fallback.location, fallback);
+        totals.processed += stats.processed;
+        totals.allowlisted += allowlistSize;
+        totals.blocked += block.length;
+        totals.ips += ip.length;
+        totals.urls += url.length;
+        totals.patterns += stats.patterns;
+        targets.push({ profile, domains: { block, allow, ip, url, regex } });
+    }
+
+    const fallbackLines = formatFallbacks([...fallbacks.values()]);
+    if (fallbackLines.length) {
+        console.warn(`\n⚠ ${fallbackLines.length} sources failed, their cached copies were used:`);
+        for (const line of fallbackLines) console.warn(line);
+    }
+
+    if (DROPPED_REPORT) {
+        await writeFile(DROPPED_REPORT, JSON.stringify(droppedReport, null, 2));
+        console.log(`\nDropped domains written to ${DROPPED_REPORT}`);
+    }
+
+    await writeSourceReport(sourceReport, {
+        json: SOURCE_REPORT,
+        markdown: SOURCE_REPORT_MARKDOWN,
+        summary: GITHUB_STEP_SUMMARY,
+    });
+
+    return {
+        targets,
+        sources,
+        fallbacks: [...fallbacks.values()],
+        totals,
+        report: sourceReport,
+        ...(queryCounts ? { topBlocked: getTopBlocked(queryCounts, TOP_BLOCKED_DOMAINS) } : {}),
+    };
+}
+
+/**
+ * Sums the changes of a sync plan.
+ * @param {Object} plan The sync plan.
+ * @returns {{changes: {added: number, removed: number}, lists: {created: number, updated: number, deleted: number}}}
+ */
+const summarizeChanges = (plan) => {
+    const blockChanges = Object.values(plan.domains).map(({ block }) => block);
+
+    return {
+        changes: {
+            added: blockChanges.reduce((total, { added }) => total + added, 0),
+            removed: blockChanges.reduce((total, { removed }) => total + removed, 0),
+        },
+        lists: {
+            created: plan.lists.create.length,
+            updated: plan.lists.update.length,
+            deleted: plan.lists.delete.length,
+        },
+    };
+};
+
+/**
+ * Applies the overrides of an account to a profile. The account may override how the rules of every profile block,
+ * except that profiles limited to DNS rules don't get SNI or HTTP rules.
+ * @param {import("./config.js").Profile} profile The profile
+ * @param {import("./config.js").Account} account The account
+ * @returns {import("./config.js").Profile}
+ */
+const getAccountProfile = (profile, account) => {
+    const isDnsOnly = Boolean(getDnsOnlyReason(profile));
+
+    return {
+        ...profile,
+        blockPage: account.blockPage ?? profile.blockPage,
+        sni: isDnsOnly ? profile.sni : account.sni ?? profile.sni,
+        http: isDnsOnly ? profile.http : account.http ?? profile.http,
+    };
+};
+
+/**
+ * Cuts the compiled domains, IPs and URLs down to the item limit of an account.
+ * Compiled domains are ordered by priority, so the same domains are dropped as if
+ * they had been compiled for the smaller limit, except that no more subdomains are folded.
+ * @param {Array<{profile: import("./config.js").Profile, domains?: {block: string[], allow: string[], ip: string[], url: string[], regex: string[][]}}>} targets The compiled profiles
+ * @param {import("./config.js").Account} account The account
+ * @returns {Array<{profile: import("./config.js").Profile, domains?: {block: string[], allow: string[], ip: string[], url: string[], regex: string[][]}}>}
+ */
+const getAccountTargets = (targets, account) => {
+    const budgets = getBudgets(targets.map(({ profile }) => profile), account.listItemLimit);
+
+    return targets.map(({ profile, domains }) => {
+        const accountProfile = getAccountProfile(profile, account);
+        // Dropping the custom block page silently would show users a page they weren't meant to see
+        if (profile.enabled && profile.blockPageUrl && !accountProfile.blockPage) {
+            throw new Error(`Account "${getAccountLabel(account)}" disables the block page, but profile "${profile.name ?? 'default'}" has a blockPageUrl: remove one of them`);
+        }
+        if (!domains) return { profile: accountProfile };
+
+        const budget = budgets.get(profile);
+        const allow = domains.allow.slice(0, budget);
+        const ip = domains.ip.slice(0, Math.min(getIpBudget(profile, budget), budget - allow.length));
+        const url = domains.url.slice(0, Math.min(getUrlBudget(accountProfile, budget), budget - allow.length - ip.length));
+        const block = domains.block.slice(0, budget - allow.length - ip.length - url.length);
+        const dropped = domains.block.length - block.length + domains.allow.length - allow.length;
+        if (dropped) {
+            console.warn(`Profile "${profile.name ?? 'default'}" exceeds the limit of the account, dropped ${dropped} more domains.`);
+        }
+        if (ip.length < domains.ip.length) {
+            console.warn(`Profile "${profile.name ?? 'default'}" exceeds the limit of the account, dropped ${domains.ip.length - ip.length} IP addresses and blocks.`);
+        }
+
+        // Accounts that don't filter HTTP traffic leave the budget of the URLs to the domains
+        if (accountProfile.http && url.length < domains.url.length) {
+            console.warn(`Profile "${profile.name ?? 'default'}" exceeds the limit of the account, dropped ${domains.url.length - url.length} URLs.`);
+        }
+
+        // Regex rules don't use list items
+        return { profile: accountProfile, domains: { block, allow, ip, url, regex: domains.regex } };
+    });
+};
+
+/**
+ * Plans the sync of the compiled lists to an account and applies it, unless it's a dry run.
+ * @param {import("./config.js").Account} account The account
+ * @param {Object} compiled The compiled profiles and the outcome of their sources
+ * @param {Object} outcome Receives the changes, the plan and the snapshot as soon as they're known
+ * @param {boolean} dryRun Only plan the sync
+ * @returns {Promise<void>}
+ * @throws {Error} If the sync fails, e.g. a `SafetyError` if the safety checks fail
+ */
+const syncAccount = async (account, { targets, sources }, outcome, dryRun) => {
+    validateEnvironment(account);
+
+    console.log('\nFetching existing rules and lists...');
+    const plan = await planSync(getAccountTargets(targets, account), await getCgpsState());
+    printPlan(plan);
+    Object.assign(outcome, summarizeChanges(plan), { plan: summarizePlan(plan) });
+
+    // Abort before anything is changed if the compiled lists look broken
+    enforceSafety(plan, sources);
+    if (dryRun) return;
+
+    // Keep a copy of the deployed state, so that a bad sync can be rolled back
+    if (SNAPSHOT_BEFORE_SYNC) {
+        console.log('\nSaving a snapshot of the deployed lists and rules...');
+        outcome.snapshot = (await createSnapshot()).path;
+    }
+
+    await applySync(plan);
+};
+
+/**
+ * Writes the plans of the accounts to `PLAN_OUTPUT`.
+ * @param {Array<{name: string|null, plan?: Object}>} outcomes The outcome of every account
+ * @param {boolean} isMultiAccount Whether the plans are keyed by account
+ * @returns {Promise<void>}
+ */
+const writePlans = async (outcomes, isMultiAccount) => {
+    const planned = outcomes.filter(({ plan }) => plan);
+    if (!planned.length) return;
+
+    const plans = isMultiAccount
+        ? Object.fromEntries(planned.map(({ name, plan }) => [name, plan]))
+        : planned[0].plan;
+    await writeFile(PLAN_OUTPUT, JSON.stringify(plans, null, 2));
+    console.log(`Plan written to ${PLAN_OUTPUT}`);
+};
+
+/**
+ * Adds up the changes planned for the accounts.
+ * @param {Array<{changes?: {added: number, removed: number}, lists?: Object}>} outcomes The outcome of every account
+ * @returns {{changes?: {added: number, removed: number}, lists?: {created: number, updated: number, deleted: number}}}
+ * Nothing if no plan was made
+ */
+const sumOutcomes = (outcomes) => {
+    const planned = outcomes.filter(({ changes }) => changes);
+    if (!planned.length) return {};
+
+    const sum = (key, field) => planned.reduce((total, outcome) => total + outcome[key][field], 0);
+    const snapshots = outcomes.filter(({ snapshot }) => snapshot);
+    return {
+        changes: { added: sum("changes", "added"), removed: sum("changes", "removed") },
+        lists: { created: sum("lists", "created"), updated: sum("lists", "updated"), deleted: sum("lists", "deleted") },
+        // Every account has its own snapshot, listed with the account
+        ...(snapshots.length === 1 && outcomes.length === 1 ? { snapshot: snapshots[0].snapshot } : {}),
+    };
+};
+
+/**
+ * Combines the failures of several accounts into one error.
+ * @param {Array<{account: import("./config.js").Account, error: Error}>} failures The failed accounts
+ * @param {number} count The number of accounts
+ * @returns {Error} A `SafetyError` if all of them failed the safety checks
+ */
+const combineFailures = (failures, count) => {
+    if (failures.every(({ error }) => error instanceof SafetyError)) {
+        return new SafetyError(failures.flatMap(({ account, error }) =>
+            error.violations.map((violation) => `${getAccountLabel(account)}: ${violation}`)));
+    }
+
+    const details = failures.map(({ account, error }) => `• ${getAccountLabel(account)}: ${error.message}`).join('\n');
+    return new Error(`Sync failed for ${failures.length} of ${count} accounts:\n${details}`);
+};
+
+/**
+ * Compiles the filter lists and syncs them to Cloudflare Gateway.
+ * With several accounts, the lists are compiled once and synced to one account after
+ * another. An account failing doesn't stop the others.
+ * The notification channels are told when the sync starts and how it ended, except for dry runs.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=DRY_RUN] Only print the plan without changing anything
+ * @returns {Promise<import("./notify.js").RunResult>} The outcome of the sync
+ * @throws {Error} If the sync fails, e.g. a `SafetyError` if the safety checks fail
+ */
+export async function syncFilterLists({ dryRun = DRY_RUN } = {}) {
+    const startedAt = new Date();
+    const result = { status: "success", dryRun, fallbacks: [] };
+    const finish = async (status, error) => {
+        const finishedAt = new Date();
+        Object.assign(result, {
+            status,
+            startedAt: startedAt.toISOString(),
+            finishedAt: finishedAt.toISOString(),
+            duration: finishedAt - startedAt,
+            ...(error ? { error: error.message } : {}),
+        });
+
+        if (!dryRun) await notify(formatRunResult(result));
+        return result;
+    };
+
+    try {
+        const accounts = await loadAccounts();
+        const isMultiAccount = accounts.some(({ name }) => name);
+        if (!isMultiAccount) validateEnvironment();
+        if (!dryRun) await notify({ type: "start", title: "🚀 Filter Lists Update Started", text: "" });
+
+        const compiled = await compileProfiles(accounts);
+        const { targets, sources, fallbacks, totals, topBlocked } = compiled;
+        Object.assign(result, { totals, fallbacks }, topBlocked ? { topBlocked } : {});
+
+        // Disabled profiles still need their rules disabled
+        if (totals.blocked === 0 && totals.ips === 0 && totals.urls === 0 && totals.patterns === 0 && targets.every(({ domains }) => domains)) {
+            // Failed sources are still worth a failure notification
+            enforceSafety({ domains: {} }, sources);
+            console.log('\nNo domains to block. Exiting...');
+            return await finish("success");
+        }
+
+        const outcomes = [];
+        const failures = [];
+        for (const account of accounts) {
+            const outcome = { name: account.name, status: "success" };
+            outcomes.push(outcome);
+            if (isMultiAccount) console.log(`\n=== Account "${getAccountLabel(account)}" ===`);
+
+            // An account failing doesn't stop the others
+            try {
+                await withAccount(account, () => syncAccount(account, compiled, outcome, dryRun));
+            } catch (error) {
+                if (isMultiAccount) console.error(`✗ Account "${account.name}" failed: ${error.message}`);
+                Object.assign(outcome, { status: "failure", error: error.message });
+                failures.push({ account, error });
+            }
+        }
+
+        if (PLAN_OUTPUT) await writePlans(outcomes, isMultiAccount);
+        Object.assign(result, sumOutcomes(outcomes));
+        if (isMultiAccount) result.accounts = outcomes.map(({ plan, ...outcome }) => outcome);
+
+        if (failures.length) throw isMultiAccount ? combineFailures(failures, accounts.length) : failures[0].error;
+
+        if (dryRun) console.log('Dry run, no changes were made.');
+        return await finish("success");
+    } catch (error) {
+        await finish("failure", error);
+        throw error;
+    }
+}
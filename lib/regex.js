@@ -0,0 +1,138 @@
+import { matchClause, measureExpression } from "./expression.js";
+
+/**
+ * The outcome of compiling a wildcard or regex rule: an RE2 pattern matching the same domains,
+ * or why the rule can't be expressed safely.
+ * @typedef {{pattern: string}|{reason: string}} CompiledPattern
+ */
+
+/**
+ * The number of letters and digits a pattern must match literally, so that it can't block most domains.
+ * Patterns anchored to the start or end of the domain may match fewer.
+ */
+const MIN_LITERAL_CHARACTERS = 3;
+
+const MIN_ANCHORED_LITERAL_CHARACTERS = 2;
+
+/**
+ * The largest repetition count RE2 accepts, e.g. in `a{1000}`
+ */
+const MAX_REPEAT = 1000;
+
+/**
+ * JavaScript regex syntax RE2 doesn't support, with the reason it's rejected. Escapes only count
+ * if the backslash isn't escaped itself.
+ */
+const UNSUPPORTED_SYNTAX = [
+    { pattern: /\(\?<?[=!]/, reason: "lookarounds aren't supported by RE2" },
+    { pattern: /(?<!\\)(?:\\\\)*\\(?:[1-9]|k<)/, reason: "backreferences aren't supported by RE2" },
+    { pattern: /(?<!\\)(?:\\\\)*\\[cupP0]/, reason: "escape isn't supported by RE2" },
+    { pattern: /(?<!\\)(?:\\\\)*\[\^?\]/, reason: "empty character classes aren't supported by RE2" },
+];
+
+/**
+ * Checks that a pattern is valid and specific enough to be used for blocking.
+ * @param {string} pattern The pattern.
+ * @returns {CompiledPattern}
+ */
+const checkPattern = (pattern) => {
+    let regex;
+    try {
+        regex = new RegExp(pattern);
+    } catch {
+        return { reason: "invalid regular expression" };
+    }
+
+    const repeats = [...pattern.matchAll(/(?<!\\)(?:\\\\)*\{(\d+)(?:,(\d*))?\}/g)];
+    if (repeats.some(([, min, max]) => Number(min) > MAX_REPEAT || Number(max) > MAX_REPEAT)) {
+        return { reason: `repetitions over ${MAX_REPEAT} aren't supported by RE2` };
+    }
+
+    // Escapes, character classes and repetition counts don't match literally
+    const literals = pattern
+        .replace(/\\./g, "")
+        .replace(/\[[^\]]*\]/g, "")
+        .replace(/\{[\d,]*\}|\(\?[:i]*/g, "")
+        .replace(/[^a-z0-9]/gi, "");
+    const isAnchored = /^\^|(?<!\\)(?:\\\\)*\$$/.test(pattern);
+    const minLiterals = isAnchored ? MIN_ANCHORED_LITERAL_CHARACTERS : MIN_LITERAL_CHARACTERS;
+    if (literals.length < minLiterals || regex.test("")) return { reason: "too broad" };
+
+    return { pattern };
+};
+
+/**
+ * Compiles a wildcard rule, e.g. `ads*.example.com` or `*tracker*`, where `*` matches any characters.
+ * @param {string} wildcard The domain with wildcards.
+ * @param {boolean} [subtree=false] Whether the rule also applies to subdomains, like `||ads*.example.com^`.
+ * @returns {CompiledPattern}
+ */
+export const compileWildcard = (wildcard, subtree = false) => {
+    const value = wildcard.toLowerCase().replace(/\*+/g, "*");
+    if (!/^[a-z0-9.*_-]+$/.test(value)) return { reason: "invalid characters" };
+
+    const body = value.split("*").map((part) => part.replaceAll(".", "\\.")).join(".*");
+    // A leading or trailing wildcard matches anything, so that side doesn't need an anchor
+    const pattern = `${subtree ? "(?:^|\\.)" : "^"}${body}$`
+        .replace(/^(?:\^|\(\?:\^\|\\\.\))\.\*/, "")
+        .replace(/\.\*\$$/, "");
+
+    return checkPattern(pattern);
+};
+
+/**
+ * Compiles a regex rule, e.g. `/^ad[0-9]+\./`, into a pattern RE2 accepts. Named groups become
+ * non-capturing groups, syntax RE2 doesn't support is rejected.
+ * @param {string} source The regular expression, without the enclosing slashes.
+ * @returns {CompiledPattern}
+ */
+export const compileRegex = (source) => {
+    const unsupported = UNSUPPORTED_SYNTAX.find(({ pattern }) => pattern.test(source));
+    if (unsupported) return { reason: unsupported.reason };
+
+    return checkPattern(source.replace(/\(\?<[a-z_]\w*>/gi, "(?:"));
+};
+
+/**
+ * Packs patterns into as few rules as possible. Every rule's expression stays within the maximum length,
+ * and all of them together within the budget.
+ * @param {string[]} patterns The patterns, the most important first.
+ * @param {{budget: number, maxLength: number}} limits The budget and the maximum length of a rule, in characters.
+ * @returns {{rules: string[][], trimmed: number, tooLong: number}} The patterns of every rule, the number of
+ * patterns left out because of the budget and of those that don't fit in a rule on their own.
+ */
+export const packPatterns = (patterns, { budget, maxLength }) => {
+    const rules = [];
+    let length = 0;
+    let used = 0;
+    let trimmed = 0;
+    let tooLong = 0;
+
+    for (const pattern of patterns) {
+        const clause = matchClause("dns.domains", pattern);
+        if (clause.length > maxLength) {
+            tooLong++;
+            continue;
+        }
+
+        // Adding a clause to a rule also adds the operator joining it to the others
+        const appendCost = measureExpression(["", clause]);
+        const fitsRule = rules.length && length + appendCost <= maxLength;
+        const cost = fitsRule ? appendCost : clause.length;
+        if (used + cost > budget) {
+            trimmed++;
+            continue;
+        }
+
+        if (fitsRule) {
+            rules.at(-1).push(pattern);
+            length += cost;
+        } else {
+            rules.push([pattern]);
+            length = cost;
+        }
+        used += cost;
+    }
+
+    return { rules, trimmed, tooLong };
+};
@@ -0,0 +1,202 @@
+import { appendFile, writeFile } from "node:fs/promises";
+
+/**
+ * Analytics of a single source.
+ * @typedef {Object} SourceStats
+ * @property {string} location Where the source was loaded from.
+ * @property {"allowlist"|"blocklist"} kind The kind of list.
+ * @property {string|null} format The detected or declared format, null if the source failed.
+ * @property {number} lines The number of lines.
+ * @property {number} rules The number of lines that aren't blank or comments.
+ * @property {number} domains The number of unique valid domains.
+ * @property {number} ips The number of unique valid IP addresses and blocks.
+ * @property {number} urls The number of unique valid URLs.
+ * @property {number} invalid The number of rules that didn't yield a valid domain.
+ * @property {number} unsupported The number of rules that can't be represented.
+ * @property {number} unique The number of domains no other source of the same kind lists.
+ * For blocklists, only the domains that are blocked in the end are counted.
+ * @property {number} overlap The number of domains at least one other source of the same kind lists.
+ * @property {Object<string, number>} overlapBySource The number of shared domains per other source of the same kind.
+ * @property {number} allowlisted For blocklists, the domains skipped because they're allowed.
+ * For allowlists, the blocklist domains they allowed.
+ * @property {number} collapsed The domains that aren't blocked separately because a parent domain is blocked.
+ * @property {number} dropped The domains dropped to stay within the item budget.
+ * @property {Array<{tld: string, count: number}>} topTlds The most common top-level domains.
+ * @property {string|null} error Why the source failed, null if it loaded.
+ */
+
+// The number of top-level domains listed per source
+const TOP_TLDS = 5;
+
+/**
+ * Counts the most common top-level domains.
+ * @param {Set<string>} domains The domains.
+ * @returns {Array<{tld: string, count: number}>}
+ */
+const countTopTlds = (domains) => {
+    const counts = new Map();
+    for (const domain of domains) {
+        const tld = domain.slice(domain.lastIndexOf(".") + 1);
+        counts.set(tld, (counts.get(tld) ?? 0) + 1);
+    }
+
+    return [...counts]
+        .sort(([a, x], [b, y]) => (y - x) || (a < b ? -1 : 1))
+        .slice(0, TOP_TLDS)
+        .map(([tld, count]) => ({ tld, count }));
+};
+
+/**
+ * Counts the domains of a source that are in a set.
+ * @param {Set<string>} domains The domains of the source.
+ * @param {{has: (domain: string) => boolean}} set The set.
+ * @returns {number}
+ */
+const countIn = (domains, set) => {
+    let count = 0;
+    for (const domain of domains) if (set.has(domain)) count++;
+    return count;
+};
+
+/**
+ * Works out what every source of a profile contributed to its compiled lists.
+ * @param {import("./compile.js").SourceContents[]} contents What every source contained.
+ * @param {Object} compiled What became of the domains.
+ * @param {Map<string, string[]>} compiled.allowed The allowed blocklist domains, with the allowlist domains they matched.
+ * @param {Set<string>} compiled.collapsed The domains covered by a blocked parent domain.
+ * @param {import("./trim.js").DroppedDomain[]} compiled.dropped The domains dropped to stay within the item budget.
+ * @param {string[]} compiled.block The blocked domains.
+ * @returns {SourceStats[]} The analytics of every source, in the order of the sources.
+ */
+export const analyzeSources = (contents, { allowed, collapsed, dropped, block }) => {
+    const blocked = new Set(block);
+    const droppedDomains = new Set(dropped.map(({ domain }) => domain));
+    // The allowlist domains that allowed at least one blocklist domain, and how many
+    const allowlistHits = new Map();
+    for (const matches of allowed.values()) {
+        for (const match of matches) allowlistHits.set(match, (allowlistHits.get(match) ?? 0) + 1);
+    }
+
+    // The number of sources of each kind listing every domain
+    const listedBy = { allowlist: new Map(), blocklist: new Map() };
+    for (const { kind, domains } of contents) {
+        for (const domain of domains) listedBy[kind].set(domain, (listedBy[kind].get(domain) ?? 0) + 1);
+    }
+
+    return contents.map(({ location, kind, format, lines, rules, invalid, unsupported, domains, ips, urls, error }) => {
+        const isAllowlist = kind === "allowlist";
+        let unique = 0;
+        let overlap = 0;
+        let allowlisted = 0;
+        for (const domain of domains) {
+            if (listedBy[kind].get(domain) > 1) overlap++;
+            else if (isAllowlist || blocked.has(domain)) unique++;
+            if (isAllowlist) allowlisted += allowlistHits.get(domain) ?? 0;
+        }
+
+        const overlapBySource = {};
+        for (const other of contents) {
+            if (other.location === location || other.kind !== kind) continue;
+            const shared = countIn(domains, other.domains);
+            if (shared) overlapBySource[other.location] = shared;
+        }
+
+        return {
+            location,
+            kind,
+            format,
+            lines,
+            rules,
+            domains: domains.size,
+            ips,
+            urls,
+            invalid,
+            unsupported,
+            unique,
+            overlap,
+            overlapBySource,
+            allowlisted: isAllowlist ? allowlisted : countIn(domains, allowed),
+            collapsed: isAllowlist ? 0 : countIn(domains, collapsed),
+            dropped: isAllowlist ? 0 : countIn(domains, droppedDomains),
+            topTlds: countTopTlds(domains),
+            error,
+        };
+    });
+};
+
+/**
+ * Escapes text for a Markdown table cell.
+ * @param {string} text The text.
+ * @returns {string}
+ */
+const escapeCell = (text) => String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+
+/**
+ * Formats the source report as Markdown, with a table per profile.
+ * @param {Object<string, SourceStats[]>} report The analytics of the sources of every profile.
+ * @returns {string}
+ */
+export const formatSourceReportMarkdown = (report) => {
+    const lines = ["## CGPS source report"];
+
+    for (const [label, sources] of Object.entries(report)) {
+        lines.push(
+            "",
+            `### Profile \`${label}\``,
+            "",
+            "| Source | Kind | Format | Lines | Domains | IPs | URLs | Invalid | Unique | Overlap | Allowlisted | Collapsed | Dropped | Top TLDs |",
+            "| --- | --- | --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: | ---: | ---: | ---: | --- |"
+        );
+        for (const source of sources) {
+            const tlds = source.topTlds.map(({ tld, count }) => `.${tld} (${count})`).join(", ");
+            lines.push(`| ${[
+                escapeCell(source.location),
+                source.kind,
+                source.error ? `⚠ failed: ${escapeCell(source.error)}` : source.format,
+                source.lines,
+                source.domains,
+                source.ips,
+                source.urls,
+                source.invalid,
+                source.unique,
+                source.overlap,
+                source.allowlisted,
+                source.collapsed,
+                source.dropped,
+                tlds || "–",
+            ].join(" | ")} |`);
+        }
+
+        const redundant = sources.filter(({ kind, domains, unique, error }) => kind === "blocklist" && !error && domains && !unique);
+        if (redundant.length) {
+            lines.push("", `Blocklists without unique domains: ${redundant.map(({ location }) => `\`${location}\``).join(", ")}`);
+        }
+    }
+
+    return `${lines.join("\n")}\n`;
+};
+
+/**
+ * Writes the source report as JSON and Markdown, and adds it to the GitHub Actions job summary.
+ * @param {Object<string, SourceStats[]>} report The analytics of the sources of every profile.
+ * @param {Object} paths
+ * @param {string} [paths.json] The JSON file, not written if omitted.
+ * @param {string} [paths.markdown] The Markdown file, not written if omitted.
+ * @param {string} [paths.summary] The job summary file, usually `$GITHUB_STEP_SUMMARY`.
+ * @returns {Promise<void>}
+ */
+export const writeSourceReport = async (report, { json, markdown, summary }) => {
+    if (json) {
+        await writeFile(json, JSON.stringify(report, null, 2));
+        console.log(`\nSource report written to ${json}`);
+    }
+
+    if (!markdown && !summary) return;
+
+    const text = formatSourceReportMarkdown(report);
+    if (markdown) {
+        await writeFile(markdown, text);
+        console.log(`Source report written to ${markdown}`);
+    }
+    if (summary) await appendFile(summary, `${text}\n`);
+};
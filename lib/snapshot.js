@@ -0,0 +1,245 @@
+import { mkdir, readdir, readFile, rename, unlink, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+
+import {
+    createZeroTrustList,
+    deleteZeroTrustLists,
+    deleteZeroTrustRule,
+    patchZeroTrustList,
+    saveZeroTrustRule
+} from "./api.js";
+import { FORCE, SNAPSHOT_DIR, SNAPSHOT_RETENTION } from "./constants.js";
+import { getAccount } from "./helpers.js";
+import { fetchListsWithItems, getCgpsState } from "./sync.js";
+
+/**
+ * The version of the snapshot format. Bumped whenever a snapshot written by an
+ * older version could no longer be restored.
+ */
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * The rule fields that are saved in a snapshot and sent back when restoring it.
+ * Everything else, e.g. the ID and timestamps, is assigned by Cloudflare.
+ */
+const RULE_FIELDS = [
+    "name",
+    "description",
+    "action",
+    "enabled",
+    "filters",
+    "traffic",
+    "identity",
+    "device_posture",
+    "precedence",
+    "rule_settings",
+    "schedule",
+    "expiration"
+];
+
+const SNAPSHOT_FILE_PATTERN = /^cgps-snapshot-[\dTZ-]+\.json$/;
+
+/**
+ * The deployed CGPS lists and rules at one point in time.
+ * @typedef {Object} Snapshot
+ * @property {number} version The version of the snapshot format.
+ * @property {string} createdAt When the snapshot was taken, as an ISO date.
+ * @property {string} accountId The account the snapshot was taken of.
+ * @property {Array<{id: string, name: string, description?: string, type: string, items: string[]}>} lists The CGPS lists with their items.
+ * @property {Object[]} rules The CGPS rules, with the fields in `RULE_FIELDS` and their ID.
+ */
+
+/**
+ * Picks the fields of a rule that are saved in a snapshot.
+ * @param {Object} rule The rule, as returned by the API.
+ * @returns {Object}
+ */
+const pickRuleFields = (rule) =>
+    Object.fromEntries(RULE_FIELDS.filter((field) => rule[field] !== undefined).map((field) => [field, rule[field]]));
+
+/**
+ * Gets the directory the snapshots of the current account are saved in.
+ * Accounts of the configuration file get their own subdirectory.
+ * @returns {string}
+ */
+const getSnapshotDir = () => {
+    const { name } = getAccount();
+    return name ? resolve(SNAPSHOT_DIR, name) : resolve(SNAPSHOT_DIR);
+};
+
+/**
+ * Lists the saved snapshots of the current account, oldest first.
+ * @returns {Promise<string[]>} The paths of the snapshots.
+ */
+export const listSnapshots = async () => {
+    const directory = getSnapshotDir();
+
+    try {
+        // Snapshot file names start with their creation time, so they sort chronologically
+        return (await readdir(directory))
+            .filter((file) => SNAPSHOT_FILE_PATTERN.test(file))
+            .sort()
+            .map((file) => join(directory, file));
+    } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+    }
+};
+
+/**
+ * Deletes the oldest snapshots beyond `SNAPSHOT_RETENTION`.
+ * @returns {Promise<void>}
+ */
+const pruneSnapshots = async () => {
+    const snapshots = await listSnapshots();
+
+    for (const path of snapshots.slice(0, Math.max(0, snapshots.length - SNAPSHOT_RETENTION))) {
+        await unlink(path);
+        console.log(`Deleted old snapshot ${path}`);
+    }
+};
+
+/**
+ * Saves the deployed CGPS lists, with their items, and rules to a snapshot file,
+ * then deletes the snapshots beyond the retention count.
+ * @param {string} [path] Where to save the snapshot. Defaults to a new file in `SNAPSHOT_DIR`, or its subdirectory
+ * for the account, which is subject to the retention count.
+ * @returns {Promise<{path: string, snapshot: Snapshot}>}
+ */
+export const createSnapshot = async (path) => {
+    const { cgpsRules, cgpsLists } = await getCgpsState();
+    const listsWithItems = await fetchListsWithItems(cgpsLists);
+    const createdAt = new Date().toISOString();
+
+    /** @type {Snapshot} */
+    const snapshot = {
+        version: SNAPSHOT_VERSION,
+        createdAt,
+        accountId: getAccount().accountId,
+        lists: cgpsLists.map(({ id, name, description, type }, index) => ({
+            id,
+            name,
+            ...(description ? { description } : {}),
+            type: type ?? "DOMAIN",
+            items: listsWithItems[index].items,
+        })),
+        rules: cgpsRules.map((rule) => ({ id: rule.id, ...pickRuleFields(rule) })),
+    };
+
+    const target = path ?? join(getSnapshotDir(), `cgps-snapshot-${createdAt.replace(/[:.]/g, "-")}.json`);
+    if (!path) await mkdir(getSnapshotDir(), { recursive: true });
+
+    // Written atomically, so that an interrupted run never leaves a truncated snapshot behind
+    const temporaryPath = `${target}.${process.pid}.tmp`;
+    await writeFile(temporaryPath, JSON.stringify(snapshot, null, 2));
+    await rename(temporaryPath, target);
+    console.log(`Snapshot of ${snapshot.lists.length} lists and ${snapshot.rules.length} rules written to ${target}`);
+
+    if (!path) await pruneSnapshots();
+    return { path: target, snapshot };
+};
+
+/**
+ * Reads and validates a snapshot file.
+ * @param {string} path The path of the snapshot.
+ * @returns {Promise<Snapshot>}
+ * @throws {Error} If the file isn't a snapshot this version can restore.
+ */
+export const readSnapshot = async (path) => {
+    const snapshot = JSON.parse(await readFile(path, "utf8"));
+
+    if (snapshot?.version !== SNAPSHOT_VERSION) {
+        throw new Error(`${path} is not a version ${SNAPSHOT_VERSION} CGPS snapshot`);
+    }
+    if (!Array.isArray(snapshot.lists) || !Array.isArray(snapshot.rules)) {
+        throw new Error(`${path} is missing its lists or rules`);
+    }
+
+    return snapshot;
+};
+
+/**
+ * Replaces the list IDs referenced by a Wirefilter expression.
+ * @param {string} expression The expression.
+ * @param {Map<string, string>} ids The new ID of every snapshot list, by its ID in the snapshot.
+ * @returns {string}
+ */
+const replaceListIds = (expression, ids) =>
+    (expression || "").replace(/\$([\w-]+)/g, (match, id) => (ids.has(id) ? `$${ids.get(id)}` : match));
+
+/**
+ * Restores the CGPS lists and rules saved in a snapshot.
+ * Lists and rules are matched by name: existing ones are overwritten in place,
+ * missing ones are created and CGPS lists and rules that aren't in the snapshot
+ * are deleted. Rules are only pointed at the restored lists once all of them
+ * exist, so filtering never stops while restoring.
+ * @param {Snapshot} snapshot The snapshot to restore.
+ * @returns {Promise<{lists: {created: number, updated: number, deleted: number}, rules: {created: number, updated: number, deleted: number}}>}
+ * @throws {Error} If the snapshot was taken of another account, unless `FORCE` is set.
+ */
+export const restoreSnapshot = async (snapshot) => {
+    if (snapshot.accountId && snapshot.accountId !== getAccount().accountId) {
+        if (!FORCE) {
+            throw new Error(`The snapshot was taken of another account (${snapshot.accountId}). Set FORCE=1 to restore it anyway.`);
+        }
+        console.warn(`Restoring a snapshot of account ${snapshot.accountId} because FORCE is set`);
+    }
+
+    const { cgpsRules, cgpsLists } = await getCgpsState();
+    const summary = {
+        lists: { created: 0, updated: 0, deleted: 0 },
+        rules: { created: 0, updated: 0, deleted: 0 },
+    };
+
+    const snapshotListNames = new Set(snapshot.lists.map(({ name }) => name));
+    const matchingLists = await fetchListsWithItems(cgpsLists.filter(({ name }) => snapshotListNames.has(name)));
+    const currentLists = new Map(matchingLists.map((list) => [list.name, list]));
+    const ids = new Map();
+
+    for (const { id, name, type, items } of snapshot.lists) {
+        const current = currentLists.get(name);
+
+        if (!current) {
+            const { result } = await createZeroTrustList(name, items.map((value) => ({ value })), type);
+            ids.set(id, result.id);
+            summary.lists.created++;
+            console.log(`✓ Created "${name}" (${items.length} items)`);
+            continue;
+        }
+
+        ids.set(id, current.id);
+        const desired = new Set(items);
+        const existing = new Set(current.items);
+        const append = items.filter((item) => !existing.has(item));
+        const remove = current.items.filter((item) => !desired.has(item));
+        if (!append.length && !remove.length) continue;
+
+        await patchZeroTrustList(current.id, append, remove);
+        summary.lists.updated++;
+        console.log(`✓ Updated "${name}" (+${append.length} -${remove.length})`);
+    }
+
+    const currentRules = new Map(cgpsRules.map((rule) => [rule.name, rule]));
+    for (const rule of snapshot.rules) {
+        const current = currentRules.get(rule.name);
+        const payload = { ...pickRuleFields(rule), traffic: replaceListIds(rule.traffic, ids) };
+
+        console.log(`${current ? "Restoring" : "Recreating"} rule "${rule.name}"...`);
+        await saveZeroTrustRule(payload, current?.id);
+        summary.rules[current ? "updated" : "created"]++;
+    }
+
+    // Leftovers go last, since lists can only be deleted once no rule references them
+    const snapshotRuleNames = new Set(snapshot.rules.map(({ name }) => name));
+    for (const { id, name } of cgpsRules.filter(({ name }) => !snapshotRuleNames.has(name))) {
+        console.log(`Deleting rule "${name}"...`);
+        await deleteZeroTrustRule(id);
+        summary.rules.deleted++;
+    }
+
+    const leftoverLists = cgpsLists.filter(({ name }) => !snapshotListNames.has(name));
+    await deleteZeroTrustLists(leftoverLists);
+    summary.lists.deleted = leftoverLists.length;
+
+    return summary;
+};
@@ -0,0 +1,202 @@
+import { readdir, readFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+
+import { getCacheAge, readCache, writeCache } from "./cache.js";
+import {
+    LISTS_DIR,
+    RECOMMENDED_ALLOWLIST_URLS,
+    RECOMMENDED_BLOCKLIST_URLS,
+    SOURCE_CACHE_MAX_AGE,
+    SOURCE_TIMEOUT
+} from "./constants.js";
+import { isKnownFormat, parseFilterList } from "./parser.js";
+import { fetchRetry, memoize } from "./utils.js";
+
+/**
+ * A filter list source.
+ * @typedef {Object} Source
+ * @property {string} location Where the list is loaded from: an HTTP(S) URL, a `file://` path or `inline:<name>`.
+ * @property {string} format The declared format of the list, or "auto" to detect it.
+ * @property {number} priority The weight of the domains of the list when the item limit is exceeded.
+ * @property {number} min The minimum number of domains the list must have for a sync to go ahead.
+ * @property {boolean} required Whether a sync must be aborted if the list fails to load.
+ * @property {string} [text] The contents of an inline list.
+ */
+
+/**
+ * Options of sources that don't declare them
+ */
+const DEFAULT_SOURCE_OPTIONS = { format: "auto", priority: 1, min: 0, required: false };
+
+/**
+ * Parses a source declaration.
+ * Options follow the location, separated by whitespace, e.g.
+ * `https://example.com/hosts.txt format=hosts priority=2 min=1000 required`.
+ * @param {string} spec The source declaration.
+ * @returns {Source}
+ * @throws {Error} If an option is invalid.
+ */
+export const parseSourceSpec = (spec) => {
+    const [location, ...options] = spec.trim().split(/\s+/);
+    const source = { ...DEFAULT_SOURCE_OPTIONS, location };
+
+    for (const option of options) {
+        const [name, value] = option.split("=");
+
+        if (name === "format") {
+            if (!isKnownFormat(value)) throw new Error(`Unknown format "${value}" for source ${location}`);
+            source.format = value;
+        } else if (name === "priority") {
+            const priority = Number(value);
+            if (!(priority > 0)) throw new Error(`Invalid priority "${value}" for source ${location}: use a positive number`);
+            source.priority = priority;
+        } else if (name === "min") {
+            const min = Number(value);
+            if (!Number.isInteger(min) || min < 0) throw new Error(`Invalid min "${value}" for source ${location}: use a whole number`);
+            source.min = min;
+        } else if (name === "required") {
+            if (![undefined, "true", "false"].includes(value)) throw new Error(`Invalid required "${value}" for source ${location}: use true or false`);
+            source.required = value !== "false";
+        } else {
+            throw new Error(`Unknown option "${name}" for source ${location}`);
+        }
+    }
+
+    return source;
+};
+
+/**
+ * Lists the files in the local lists directory for a kind of list.
+ * Named profiles use a subdirectory of their own, e.g. `lists/malware/blocklist/`.
+ * @param {string|null} profile The name of the profile.
+ * @param {"allowlist"|"blocklist"} kind The kind of list.
+ * @returns {Promise<Source[]>} A source for every file, empty if the directory doesn't exist.
+ */
+const getLocalSources = async (profile, kind) => {
+    const directory = profile ? resolve(LISTS_DIR, profile, kind) : resolve(LISTS_DIR, kind);
+
+    try {
+        const files = await readdir(directory, { withFileTypes: true });
+        return files
+            .filter((file) => file.isFile() && !file.name.startsWith("."))
+            .map((file) => file.name)
+            .sort()
+            .map((name) => ({ ...DEFAULT_SOURCE_OPTIONS, location: `file://${join(directory, name)}` }));
+    } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+    }
+};
+
+/**
+ * Collects the sources of a kind of list for a profile: declared URLs and files,
+ * files in the local lists directory and inline entries. The profile configured
+ * through environment variables uses the recommended lists if none of these are configured.
+ * @param {import("./config.js").Profile} profile The profile.
+ * @param {"allowlist"|"blocklist"} kind The kind of list.
+ * @returns {Promise<Source[]>}
+ */
+export const getSources = async (profile, kind) => {
+    const isAllowlist = kind === "allowlist";
+    const specs = isAllowlist ? profile.allowlists : profile.blocklists;
+    const inline = isAllowlist ? profile.allowlistDomains : profile.blocklistDomains;
+
+    const sources = [
+        ...(specs || []).map((spec) => parseSourceSpec(spec)),
+        ...(await getLocalSources(profile.name, kind)),
+    ];
+    if (inline?.trim()) {
+        const name = profile.name ? `${profile.name}:${kind}` : kind;
+        sources.push({ ...DEFAULT_SOURCE_OPTIONS, location: `inline:${name}`, text: inline });
+    }
+
+    if (sources.length || profile.name) return sources;
+
+    const recommended = isAllowlist ? RECOMMENDED_ALLOWLIST_URLS : RECOMMENDED_BLOCKLIST_URLS;
+    return recommended.map((spec) => parseSourceSpec(spec));
+};
+
+/**
+ * The loaded contents of a source.
+ * @typedef {Object} LoadedSource
+ * @property {string} text The contents of the source.
+ * @property {{age: number, error: string}|null} fallback Set if the source failed and its last good copy was used instead.
+ */
+
+/**
+ * Fetches a remote source, making a conditional request if it's cached.
+ * If the request fails or the source has no rules, e.g. an empty body or an error page,
+ * the cached copy is used as long as it isn't older than `SOURCE_CACHE_MAX_AGE`.
+ * @param {string} location The URL of the source.
+ * @returns {Promise<LoadedSource>}
+ * @throws {Error} If the source fails and there is no usable cached copy.
+ */
+const fetchSource = async (location) => {
+    const cached = await readCache(location);
+    const headers = {};
+    if (cached?.etag) headers["If-None-Match"] = cached.etag;
+    if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+    try {
+        const response = await fetchRetry(location, { headers }, { timeout: SOURCE_TIMEOUT });
+
+        if (response.status === 304 && cached) {
+            console.log(`${location} is unchanged since ${cached.fetchedAt}`);
+            await writeCache({ ...cached, fetchedAt: new Date().toISOString() });
+            return { text: cached.body, fallback: null };
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const text = await response.text();
+        // Only a usable copy may replace the last good one. The declared format is checked when the source is compiled.
+        if (!parseFilterList(text).entries.length) {
+            throw new Error(text.trim() ? "Response has no rules of a known format" : "Response is empty");
+        }
+
+        await writeCache({
+            location,
+            body: text,
+            etag: response.headers.get("etag") ?? undefined,
+            lastModified: response.headers.get("last-modified") ?? undefined,
+            fetchedAt: new Date().toISOString(),
+        });
+
+        return { text, fallback: null };
+    } catch (error) {
+        if (!cached) throw error;
+
+        const age = getCacheAge(cached);
+        if (age > SOURCE_CACHE_MAX_AGE) {
+            throw new Error(`${error.message} (cached copy is ${Math.round(age)}h old, older than the ${SOURCE_CACHE_MAX_AGE}h limit)`);
+        }
+
+        console.warn(`Failed to fetch ${location}: ${error.message}. Using the cached copy from ${cached.fetchedAt}.`);
+        return { text: cached.body, fallback: { age, error: error.message } };
+    }
+};
+
+/**
+ * Loads the contents of a file or URL.
+ * Memoized, so that sources shared by several profiles are only fetched once.
+ * @param {string} location The `file://` path or URL.
+ * @returns {Promise<LoadedSource>}
+ */
+const loadLocation = memoize(async (location) => {
+    if (location.startsWith("file://")) {
+        return { text: await readFile(resolve(location.slice("file://".length)), "utf8"), fallback: null };
+    }
+
+    return fetchSource(location);
+});
+
+/**
+ * Loads the contents of a source.
+ * @param {Source} source The source to load.
+ * @returns {Promise<LoadedSource>}
+ * @throws {Error} If the source can't be loaded.
+ */
+export const loadSource = ({ location, text }) =>
+    location.startsWith("inline:") ? Promise.resolve({ text, fallback: null }) : loadLocation(location);
@@ -0,0 +1,662 @@
+import {
+    createZeroTrustList,
+    createZeroTrustRule,
+    deleteZeroTrustLists,
+    deleteZeroTrustRule,
+    getZeroTrustListItems,
+    getZeroTrustLists,
+    getZeroTrustRules,
+    patchZeroTrustList,
+    updateZeroTrustRule
+} from "./api.js";
+import { DNS_ONLY_ACTIONS, getDnsOnlyReason } from "./config.js";
+import { API_CONCURRENCY, LIST_ITEM_SIZE, SYNC_MODE } from "./constants.js";
+import { buildExpression, getListsPerRule, getScopedMaxLength, listClause, matchClause } from "./expression.js";
+import {
+    formatListName,
+    formatRulePartName,
+    getListType,
+    getReferencedListIds,
+    getRuleNames,
+    getRuleProfile,
+    isCgpsList,
+    isCgpsRule,
+    parseListName
+} from "./names.js";
+import { getTrafficScope } from "./targeting.js";
+import { mapConcurrent } from "./utils.js";
+
+/**
+ * Gets the sort key of a CGPS list so that lists are processed in name order.
+ * @param {string} name The list name, e.g. "CGPS List - Chunk 3".
+ * @returns {number}
+ */
+const getSortKey = (name) => {
+    const { generation, chunk } = parseListName(name) || { generation: 0, chunk: 0 };
+    return generation * 1e6 + chunk;
+};
+
+/**
+ * Gets the newest generation of the given lists.
+ * @param {Array<{name: string}>} lists CGPS lists.
+ * @returns {number}
+ */
+const getNewestGeneration = (lists) =>
+    Math.max(0, ...lists.map(({ name }) => parseListName(name).generation));
+
+/**
+ * Gets the label of a profile used in logs and plans.
+ * @param {string|null} name The name of the profile.
+ * @returns {string}
+ */
+const getProfileLabel = (name) => name ?? "default";
+
+/**
+ * Builds the rules of a profile. Block rules come first, so that the allow
+ * rules can be placed right before them. IP lists are matched against the addresses
+ * DNS queries resolve to and the destination of network traffic, URL lists against HTTP requests.
+ * Regex rules match their patterns instead of lists, one numbered rule per group of patterns.
+ * Rules referencing more lists than fit in an expression are split into numbered parts,
+ * named by `getPartName`. The expressions of rules scoped to locations have less room for lists and patterns.
+ * @param {import("./config.js").Profile} profile The profile.
+ * @param {string[][]} [regex=[]] The patterns of every regex rule.
+ * @returns {Array<{name: string, kind: "block"|"allow"|"ip"|"url"|"regex", filters: string[], field: string, enabled: boolean, getPartName: (part: number) => string, expressions?: string[]}>}
+ */
+const getRuleDefinitions = (profile, regex = []) => {
+    const names = getRuleNames(profile);
+
+    const definitions = [
+        { name: names.block.dns, kind: "block", filters: ["dns"], field: "dns.domains", enabled: true },
+        { name: names.block.l4, kind: "block", filters: ["l4"], field: "net.sni.domains", enabled: profile.sni },
+        { name: names.allow.dns, kind: "allow", filters: ["dns"], field: "dns.domains", enabled: profile.publishAllowlist },
+        {
+            name: names.allow.l4,
+            kind: "allow",
+            filters: ["l4"],
+            field: "net.sni.domains",
+            enabled: profile.publishAllowlist && profile.sni,
+        },
+        { name: names.ip.dns, kind: "ip", filters: ["dns"], field: "dns.resolved_ips", enabled: true },
+        // Profiles limited to DNS rules only block IPs DNS queries resolve to
+        { name: names.ip.l4, kind: "ip", filters: ["l4"], field: "net.dst.ip", enabled: !getDnsOnlyReason(profile) },
+        { name: names.url.http, kind: "url", filters: ["http"], field: "http.request.uri", enabled: profile.http },
+    ].map((definition) => ({ ...definition, getPartName: (part) => formatRulePartName(definition.name, part) }));
+
+    return [
+        ...definitions,
+        {
+            name: names.regex.dns(1),
+            kind: "regex",
+            filters: ["dns"],
+            field: "dns.domains",
+            enabled: true,
+            getPartName: names.regex.dns,
+            expressions: regex.map((patterns) => buildExpression(
+                patterns.map((pattern) => matchClause("dns.domains", pattern)),
+                getScopedMaxLength(getTrafficScope(profile.targeting, ["dns"]))
+            )),
+        },
+    ];
+};
+
+/**
+ * Fetches the items of every given list, `API_CONCURRENCY` lists at a time.
+ * @param {Array<{id: string, name: string}>} lists The CGPS lists to fetch.
+ * @returns {Promise<Array<{id: string, name: string, items: string[]}>>} The lists in the given order.
+ */
+export const fetchListsWithItems = (lists) =>
+    mapConcurrent(lists, API_CONCURRENCY, async ({ id, name }) => ({ id, name, items: await getZeroTrustListItems(id) }));
+
+/**
+ * Fetches the CGPS rules and lists currently deployed, and the precedence of every rule of the account.
+ * @returns {Promise<{cgpsRules: Object[], cgpsLists: Array<{id: string, name: string}>, precedences: Array<{id: string, precedence: number}>}>}
+ */
+export const getCgpsState = async () => {
+    const [{ result: rules }, { result: lists }] = await Promise.all([
+        getZeroTrustRules(),
+        getZeroTrustLists()
+    ]);
+
+    return {
+        cgpsRules: rules?.filter((rule) => isCgpsRule(rule)) || [],
+        cgpsLists: lists?.filter(({ name }) => isCgpsList(name)) || [],
+        precedences: rules?.map(({ id, precedence }) => ({ id, precedence })) || [],
+    };
+};
+
+/**
+ * Gets the CGPS lists that are currently in use.
+ * These are the lists referenced by a CGPS rule or, if there is no rule yet,
+ * the lists of the newest generation.
+ * @param {Object[]} cgpsRules The existing CGPS rules.
+ * @param {Array<{id: string, name: string}>} cgpsLists The existing CGPS lists.
+ * @returns {Array<{id: string, name: string}>}
+ */
+const getLiveLists = (cgpsRules, cgpsLists) => {
+    const referencedIds = new Set(cgpsRules.flatMap((rule) => getReferencedListIds(rule.traffic)));
+    const referencedLists = cgpsLists.filter(({ id }) => referencedIds.has(id));
+    if (referencedLists.length) return referencedLists;
+
+    const newestGeneration = getNewestGeneration(cgpsLists);
+    return cgpsLists.filter(({ name }) => parseListName(name).generation === newestGeneration);
+};
+
+/**
+ * Computes the changes needed to turn the current lists into the given domains.
+ * Domains stay in the list they're already in, new domains fill up free space
+ * before any new list is created, and lists left without items are deleted.
+ * @param {string[]} domains The compiled domains, or IP addresses and blocks, that should be in the lists.
+ * @param {Array<{id: string, name: string, items: string[]}>} currentLists The current CGPS lists with their items.
+ * @param {number} generation The generation new lists are created in.
+ * @param {"block"|"allow"|"ip"|"url"} [kind="block"] The kind of lists to create.
+ * @param {string|null} [profile=null] The profile the lists belong to.
+ * @returns {{
+ *   create: Array<{name: string, type: string, items: string[]}>,
+ *   update: Array<{id: string, name: string, append: string[], remove: string[]}>,
+ *   delete: Array<{id: string, name: string}>,
+ *   unchanged: Array<{id: string, name: string}>
+ * }}
+ */
+export const planListSync = (domains, currentLists, generation = 0, kind = "block", profile = null) => {
+    const desired = new Set(domains);
+    const placed = new Set();
+    const lists = [...currentLists]
+        .sort((a, b) => getSortKey(a.name) - getSortKey(b.name))
+        .map(({ id, name, items }) => {
+            const keep = [];
+            const remove = [];
+
+            for (const item of items) {
+                // Domains listed twice are only kept in the first list
+                if (desired.has(item) && !placed.has(item)) {
+                    placed.add(item);
+                    keep.push(item);
+                } else {
+                    remove.push(item);
+                }
+            }
+
+            return { id, name, size: keep.length, append: [], remove };
+        });
+
+    const additions = domains.filter((domain) => !placed.has(domain));
+    let offset = 0;
+
+    // Fill up free space in the existing lists first
+    for (const list of lists) {
+        const free = LIST_ITEM_SIZE - list.size;
+        if (free <= 0 || offset >= additions.length) continue;
+
+        list.append = additions.slice(offset, offset + free);
+        list.size += list.append.length;
+        offset += list.append.length;
+    }
+
+    // Create new lists for the rest, reusing unused chunk numbers
+    const usedNames = new Set(lists.map(({ name }) => name));
+    const create = [];
+    for (let chunk = 1; offset < additions.length; chunk++) {
+        const name = formatListName(generation, chunk, kind, profile);
+        if (usedNames.has(name)) continue;
+
+        create.push({
+            name,
+            type: getListType(kind),
+            items: additions.slice(offset, offset + LIST_ITEM_SIZE),
+        });
+        offset += LIST_ITEM_SIZE;
+    }
+
+    const plan = { create, update: [], delete: [], unchanged: [] };
+    for (const { id, name, size, append, remove } of lists) {
+        if (size === 0) {
+            plan.delete.push({ id, name });
+        } else if (append.length || remove.length) {
+            plan.update.push({ id, name, append, remove });
+        } else {
+            plan.unchanged.push({ id, name });
+        }
+    }
+
+    return plan;
+};
+
+/**
+ * Plans the changes to the rules of a profile.
+ * Rules of a disabled profile are disabled but otherwise left alone.
+ * @param {import("./config.js").Profile} profile The profile.
+ * @param {Object[]} profileRules The existing rules of the profile.
+ * @param {{block: string[], allow: string[], ip: string[], url: string[], regex: string[][]}} [domains] The domains to sync, by kind of list,
+ * and the patterns of the regex rules. Unset for disabled profiles.
+ * @param {Object<string, number>} [listCounts] The number of lists of every kind once the lists are synced.
+ * @returns {Object[]}
+ */
+const planRuleSync = (profile, profileRules, domains, listCounts) => {
+    if (!profile.enabled) {
+        return profileRules
+            .filter((rule) => rule.enabled)
+            .map(({ id, name, action, filters, traffic, precedence, rule_settings, identity, device_posture, schedule }) => ({
+                change: "disable",
+                profile,
+                name,
+                action,
+                filters,
+                id,
+                traffic,
+                precedence,
+                // Only whether the rule is enabled changes, it keeps its settings and targeting
+                deployed: { rule_settings, identity, device_posture, schedule },
+            }));
+    }
+
+    const definitions = getRuleDefinitions(profile, domains.regex);
+    const rules = definitions.flatMap(({ name: group, kind, filters, field, enabled, getPartName, expressions }) => {
+        if (!enabled) return [];
+
+        // A rule without lists can't exist, so none is planned and the existing one is deleted with them
+        const maxLength = getScopedMaxLength(getTrafficScope(profile.targeting, filters));
+        const parts = expressions ? expressions.length : Math.ceil(listCounts[kind] / getListsPerRule(field, maxLength));
+
+        return Array.from({ length: parts }, (_, index) => {
+            const name = getPartName(index + 1);
+            const existing = profileRules.find((rule) => rule.name === name);
+            const rule = { profile, name, group, kind, filters, field, part: index + 1, ...(expressions ? { expression: expressions[index] } : {}) };
+
+            return existing
+                ? { change: "update", ...rule, id: existing.id, precedence: existing.precedence }
+                : { change: "create", ...rule };
+        });
+    });
+
+    // Rules that are disabled, left without lists or renamed, and numbered parts no longer needed
+    const names = new Set(rules.map(({ name }) => name));
+    for (const { id, name } of profileRules) {
+        if (!names.has(name)) rules.push({ change: "delete", profile, name, id });
+    }
+
+    return rules;
+};
+
+/**
+ * Plans a sync of the CGPS lists and rules without changing anything.
+ * Only read requests are made to Cloudflare. Lists and rules of profiles
+ * that no longer exist are deleted.
+ * @param {Array<{profile: import("./config.js").Profile, domains?: {block: string[], allow: string[], ip: string[], url: string[], regex: string[][]}}>} targets
+ * The configured profiles with their compiled domains, IPs, URLs and patterns. Disabled profiles have none.
+ * @param {{cgpsRules: Object[], cgpsLists: Array<{id: string, name: string}>, precedences?: Array<{id: string, precedence: number}>}} state
+ * The deployed CGPS state, and the precedences of all rules of the account.
+ * @returns {Promise<Object>} The sync plan.
+ */
+export const planSync = async (targets, { cgpsRules, cgpsLists, precedences = [] }) => {
+    const generation = SYNC_MODE === "rollout" ? getNewestGeneration(cgpsLists) + 1 : undefined;
+    const lists = { create: [], update: [], delete: [], unchanged: [] };
+    const rules = [];
+    const domains = {};
+
+    for (const { profile, domains: profileDomains } of targets) {
+        const profileLists = cgpsLists.filter(({ name }) => parseListName(name).profile === profile.name);
+        const profileRules = cgpsRules.filter((rule) => getRuleProfile(rule) === profile.name);
+        const label = getProfileLabel(profile.name);
+
+        if (!profile.enabled) {
+            rules.push(...planRuleSync(profile, profileRules));
+            lists.unchanged.push(...profileLists.map(({ id, name }) => ({ id, name })));
+            continue;
+        }
+
+        const allowDomains = profile.publishAllowlist ? profileDomains.allow : [];
+        const urls = profile.http ? profileDomains.url : [];
+        const listCounts = {};
+        domains[label] = {};
+
+        for (const [kind, desiredDomains] of [["block", profileDomains.block], ["allow", allowDomains], ["ip", profileDomains.ip], ["url", urls]]) {
+            const kindLists = profileLists.filter(({ name }) => parseListName(name).kind === kind);
+            const liveLists = getLiveLists(profileRules, kindLists);
+            const liveIds = new Set(liveLists.map(({ id }) => id));
+            const staleLists = kindLists.filter(({ id }) => !liveIds.has(id));
+
+            console.log(`Fetching items of ${liveLists.length} existing ${kind} lists of profile "${label}"...`);
+            const currentLists = await fetchListsWithItems(liveLists);
+            const currentDomains = new Set(currentLists.flatMap(({ items }) => items));
+            const desired = new Set(desiredDomains);
+
+            const kindPlan = generation === undefined
+                ? planListSync(desiredDomains, currentLists, getNewestGeneration(liveLists), kind, profile.name)
+                : {
+                    ...planListSync(desiredDomains, [], generation, kind, profile.name),
+                    delete: liveLists.map(({ id, name }) => ({ id, name })),
+                };
+            kindPlan.delete.push(...staleLists.map(({ id, name }) => ({ id, name })));
+
+            for (const key of Object.keys(lists)) lists[key].push(...kindPlan[key]);
+            listCounts[kind] = kindPlan.create.length + kindPlan.update.length + kindPlan.unchanged.length;
+            domains[label][kind] = {
+                current: currentDomains.size,
+                total: desired.size,
+                added: [...desired].filter((domain) => !currentDomains.has(domain)).length,
+                removed: [...currentDomains].filter((domain) => !desired.has(domain)).length,
+            };
+        }
+
+        rules.push(...planRuleSync(profile, profileRules, profileDomains, listCounts));
+    }
+
+    // Clean up profiles that were removed from the configuration
+    const profileNames = new Set(targets.map(({ profile }) => profile.name));
+    for (const rule of cgpsRules) {
+        if (!profileNames.has(getRuleProfile(rule))) {
+            rules.push({ change: "delete", profile: { name: getRuleProfile(rule) }, name: rule.name, id: rule.id });
+        }
+    }
+    for (const { id, name } of cgpsLists) {
+        if (!profileNames.has(parseListName(name).profile)) lists.delete.push({ id, name });
+    }
+
+    return { mode: SYNC_MODE, generation, lists, rules, domains, precedences };
+};
+
+/**
+ * Summarizes a sync plan, leaving out the domains themselves.
+ * @param {Object} plan The sync plan.
+ * @returns {Object}
+ */
+export const summarizePlan = (plan) => ({
+    mode: plan.mode,
+    generation: plan.generation,
+    domains: plan.domains,
+    lists: {
+        create: plan.lists.create.map(({ name, items }) => ({ name, items: items.length })),
+        update: plan.lists.update.map(({ id, name, append, remove }) => ({
+            id,
+            name,
+            append: append.length,
+            remove: remove.length,
+        })),
+        delete: plan.lists.delete,
+        unchanged: plan.lists.unchanged.length,
+    },
+    rules: plan.rules.map(({ change, profile, name, id }) => ({
+        change,
+        profile: getProfileLabel(profile.name),
+        name,
+        id,
+    })),
+});
+
+/**
+ * Describes the items of every kind of list in plans
+ */
+const PLAN_KIND_LABELS = {
+    block: "Domains to block",
+    allow: "Domains to allow",
+    ip: "IPs to block",
+    url: "URLs to block",
+};
+
+/**
+ * Prints a sync plan to the console.
+ * @param {Object} plan The sync plan.
+ */
+export const printPlan = (plan) => {
+    const { lists, rules, domains } = plan;
+
+    console.log(`\nPlan (${plan.mode} mode):`);
+    for (const [label, kinds] of Object.entries(domains)) {
+        for (const [kind, { total, added, removed }] of Object.entries(kinds)) {
+            if (!total && !removed) continue;
+            console.log(`• ${PLAN_KIND_LABELS[kind]} (${label}): ${total} total, +${added} added, -${removed} removed`);
+        }
+    }
+    console.log(
+        `• Lists: ${lists.create.length} to create, ${lists.update.length} to update, ` +
+        `${lists.delete.length} to delete, ${lists.unchanged.length} unchanged`
+    );
+    for (const { name, items } of lists.create) console.log(`  + create "${name}" (${items.length} items)`);
+    for (const { name, append, remove } of lists.update) {
+        console.log(`  ~ update "${name}" (+${append.length} -${remove.length})`);
+    }
+    for (const { name } of lists.delete) console.log(`  - delete "${name}"`);
+    console.log(`• Rules:`);
+    for (const { change, name } of rules) console.log(`  ${change} "${name}"`);
+    console.log();
+};
+
+/**
+ * Gets the settings of a profile's action, as rule options.
+ * @param {import("./config.js").Profile} profile The profile.
+ * @returns {import("./api.js").RuleOptions}
+ */
+const getActionOptions = ({ blockPage, blockReason, blockPageUrl, overrideIps, overrideHost }) =>
+    ({ blockPage, blockReason, blockPageUrl, overrideIps, overrideHost });
+
+/**
+ * Gets the action of a rule of a profile. Allow rules allow, and IP rules block when the profile's action
+ * only applies to DNS queries, since those run before the queries are resolved.
+ * @param {import("./config.js").Profile} profile The profile.
+ * @param {"block"|"allow"|"ip"|"url"|"regex"} kind The kind of rule.
+ * @returns {string}
+ */
+const getRuleAction = (profile, kind) => {
+    if (kind === "allow") return "allow";
+    if (kind === "ip" && DNS_ONLY_ACTIONS.includes(profile.action)) return "block";
+    return profile.action;
+};
+
+/**
+ * Applies the planned rule changes so that the rules reference the given lists.
+ * Rules are updated in place, so filtering never stops while swapping lists.
+ * Allow rules are placed right before the block rule of the same profile and
+ * traffic type unless their precedence is configured. IP, URL and regex rules keep their precedence.
+ * The numbered parts of a rule follow its first part, so that they're evaluated together.
+ * @param {Object} plan The sync plan.
+ * @param {Array<{id: string, name: string}>} lists The CGPS lists the rules should reference.
+ * @returns {Promise<void>}
+ * @throws {import("./expression.js").ExpressionTooLongError} If the lists of a part don't fit in its expression
+ * @throws {Error} If there is no room for an allow rule right before its block rule
+ */
+const applyRuleSync = async (plan, lists) => {
+    // Every rule of the account by ID, kept up to date as rules are placed
+    const rulePrecedences = new Map(plan.precedences.map(({ id, precedence }) => [id, precedence]));
+    const blockPrecedences = {};
+    const firstPrecedences = {};
+    const partCounts = {};
+    for (const { change, profile, group } of plan.rules) {
+        if (change === "create" || change === "update") {
+            partCounts[`${profile.name}:${group}`] = (partCounts[`${profile.name}:${group}`] ?? 0) + 1;
+        }
+    }
+
+    for (const rule of plan.rules) {
+        const { change, profile, name, group, part, kind, id, filters, field, precedence: currentPrecedence } = rule;
+        if (change === "delete") continue;
+
+        if (change === "disable") {
+            console.log(`Disabling rule "${name}"...`);
+            // The traffic, settings and targeting are kept as deployed, location scope included
+            await updateZeroTrustRule(id, rule.traffic, name, filters, {
+                action: rule.action,
+                precedence: currentPrecedence,
+                profile: profile.name,
+                deployed: rule.deployed,
+                enabled: false,
+            });
+            continue;
+        }
+
+        const key = `${profile.name}:${filters[0]}`;
+        const groupKey = `${profile.name}:${group}`;
+        let precedence = currentPrecedence;
+        if (part > 1) {
+            precedence = Number.isFinite(firstPrecedences[groupKey]) ? firstPrecedences[groupKey] + part - 1 : currentPrecedence;
+        } else if (kind === "block") {
+            precedence = profile.precedence ?? currentPrecedence;
+        } else if (kind === "allow") {
+            precedence = profile.allowPrecedence;
+            if (precedence === undefined && Number.isFinite(blockPrecedences[key])) {
+                // Every part of the allow rule goes before the block rule, where no other rule may be
+                precedence = blockPrecedences[key] - partCounts[groupKey];
+                const groupIds = new Set(plan.rules.filter((other) => other.profile === profile && other.group === group).map((other) => other.id));
+                const isTaken = (value) => [...rulePrecedences].some(([ruleId, taken]) => taken === value && !groupIds.has(ruleId));
+                const range = Array.from({ length: partCounts[groupKey] }, (_, index) => precedence + index);
+                if (precedence <= 0 || range.some(isTaken)) {
+                    throw new Error(
+                        `No room for the allow rule "${name}" right before the block rule at precedence ${blockPrecedences[key]}: ` +
+                        `set allowPrecedence (ALLOW_RULE_PRECEDENCE) to a free precedence before it, or precedence (RULE_PRECEDENCE) to a higher one`
+                    );
+                }
+            }
+        }
+        const options = {
+            ...getActionOptions(profile),
+            action: getRuleAction(profile, kind),
+            precedence,
+            profile: profile.name,
+            targeting: profile.targeting,
+        };
+
+        // Lists are spread across the parts in name order
+        const maxLength = getScopedMaxLength(getTrafficScope(profile.targeting, filters));
+        const listsPerRule = getListsPerRule(field, maxLength);
+        const expression = rule.expression ?? buildExpression(lists
+            .filter((list) => {
+                const parsed = parseListName(list.name);
+                return parsed.profile === profile.name && parsed.kind === kind;
+            })
+            .sort((a, b) => getSortKey(a.name) - getSortKey(b.name))
+            .slice((part - 1) * listsPerRule, part * listsPerRule)
+            .map((list) => listClause(field, list.id)), maxLength);
+
+        console.log(`${change === "create" ? "Creating" : "Updating"} rule "${name}"...`);
+        const { result } = change === "create"
+            ? await createZeroTrustRule(expression, name, filters, options)
+            : await updateZeroTrustRule(id, expression, name, filters, options);
+
+        if (result?.id) rulePrecedences.set(result.id, result.precedence ?? precedence);
+        if (part === 1) firstPrecedences[groupKey] = result?.precedence ?? precedence;
+        if (kind === "block" && part === 1) blockPrecedences[key] = result?.precedence ?? precedence;
+    }
+
+    // A leftover rule would keep the old lists from being deleted
+    for (const { change, name, id } of plan.rules) {
+        if (change !== "delete") continue;
+
+        console.log(`Deleting rule "${name}"...`);
+        await deleteZeroTrustRule(id);
+    }
+};
+
+/**
+ * Applies the list updates and creations of a sync plan, `API_CONCURRENCY` at a time.
+ * Deletions are left to the caller, since lists can only be deleted
+ * once no rule references them anymore.
+ * @param {ReturnType<typeof planListSync>} plan The list plan to apply.
+ * @returns {Promise<Array<{id: string, name: string}>>} The created lists.
+ */
+export const applyListSync = async (plan) => {
+    await mapConcurrent(plan.update, API_CONCURRENCY, async ({ id, name, append, remove }) => {
+        try {
+            await patchZeroTrustList(id, append, remove);
+            console.log(`✓ Updated "${name}" (+${append.length} -${remove.length})`);
+        } catch (err) {
+            console.error(`✗ Failed to update "${name}":`, err.message);
+            throw err;
+        }
+    });
+
+    return mapConcurrent(plan.create, API_CONCURRENCY, async ({ name, type, items }) => {
+        try {
+            const { result } = await createZeroTrustList(name, items.map((value) => ({ value })), type);
+            console.log(`✓ Created "${name}" (${items.length} items)`);
+            return result;
+        } catch (err) {
+            console.error(`✗ Failed to create "${name}":`, err.message);
+            throw err;
+        }
+    });
+};
+
+/**
+ * Cleans up the lists of a generation whose rollout failed,
+ * unless a rule already points at them.
+ * @param {number} generation The generation that failed to roll out.
+ * @returns {Promise<void>}
+ */
+const cleanUpGeneration = async (generation) => {
+    const { cgpsRules, cgpsLists } = await getCgpsState();
+    const newLists = cgpsLists.filter(({ name }) => parseListName(name).generation === generation);
+    const referencedIds = new Set(cgpsRules.flatMap((rule) => getReferencedListIds(rule.traffic)));
+
+    // Once a rule points at the new generation, both generations have to stay
+    if (newLists.some(({ id }) => referencedIds.has(id))) return;
+
+    console.error(`Rollout of generation ${generation} failed, cleaning up...`);
+    await deleteZeroTrustLists(newLists);
+};
+
+/**
+ * Applies a sync plan.
+ * In rollout mode, a new generation of lists is created next to the live one
+ * and the rules are pointed at it before the previous generations are deleted.
+ * If anything fails before the rules are swapped, the new generation is
+ * cleaned up and the live one stays in place.
+ * @param {Object} plan The sync plan created by `planSync`.
+ * @returns {Promise<void>}
+ */
+export const applySync = async (plan) => {
+    const { lists } = plan;
+
+    try {
+        const created = await applyListSync(lists);
+        await applyRuleSync(plan, [...lists.update, ...lists.unchanged, ...created]);
+    } catch (error) {
+        if (plan.mode === "rollout") await cleanUpGeneration(plan.generation);
+        throw error;
+    }
+
+    // Lists can only be deleted once the rules no longer reference them
+    await deleteZeroTrustLists(lists.delete);
+};
+
+/**
+ * Describes the deployed CGPS rules and lists by profile.
+ * @param {{cgpsRules: Object[], cgpsLists: Array<{id: string, name: string, count?: number}>}} state The deployed CGPS state.
+ * @returns {Object<string, {rules: Object[], lists: Object[]}>} The rules and lists of every profile, by profile label.
+ */
+export const describeState = ({ cgpsRules, cgpsLists }) => {
+    const profiles = {};
+    const getProfile = (name) => (profiles[getProfileLabel(name)] ??= { rules: [], lists: [] });
+
+    for (const rule of cgpsRules) {
+        getProfile(getRuleProfile(rule)).rules.push({
+            id: rule.id,
+            name: rule.name,
+            action: rule.action,
+            enabled: rule.enabled,
+            precedence: rule.precedence,
+            lists: getReferencedListIds(rule.traffic).length,
+        });
+    }
+
+    const referencedIds = new Set(cgpsRules.flatMap((rule) => getReferencedListIds(rule.traffic)));
+    for (const { id, name, count } of [...cgpsLists].sort((a, b) => getSortKey(a.name) - getSortKey(b.name))) {
+        const { profile, kind, generation } = parseListName(name);
+        getProfile(profile).lists.push({ id, name, kind, generation, count, live: referencedIds.has(id) });
+    }
+
+    return profiles;
+};
+
+/**
+ * Deletes every CGPS rule and list.
+ * Rules go first, since lists can only be deleted once no rule references them.
+ * @param {{cgpsRules: Object[], cgpsLists: Array<{id: string, name: string}>}} state The deployed CGPS state.
+ * @returns {Promise<void>}
+ */
+export const deleteCgpsState = async ({ cgpsRules, cgpsLists }) => {
+    for (const { id, name } of cgpsRules) {
+        console.log(`Deleting rule "${name}"...`);
+        await deleteZeroTrustRule(id);
+    }
+
+    await deleteZeroTrustLists(cgpsLists);
+};
@@ -0,0 +1,179 @@
+import { buildExpression, deviceClause, emailClause, groupClause, locationClause } from "./expression.js";
+
+/**
+ * Who and when the rules of a profile apply to. Rules of profiles without targeting apply to everyone, all the time.
+ * @typedef {Object} Targeting
+ * @property {{timeZone: string, days: Object<string, string>}|undefined} schedule When the rules are active:
+ * the time ranges of every day, e.g. `{mon: "09:00-17:00"}`, in a time zone like "Europe/Berlin".
+ * @property {{emails: string[], groups: string[]}|undefined} identity The users the rules apply to, by email or group.
+ * @property {string[]|undefined} locations The IDs of the DNS locations the rules apply to.
+ * @property {string[]|undefined} devicePosture The IDs of the device posture checks devices must pass for the rules to apply.
+ */
+
+/**
+ * The days of a Gateway schedule, in order
+ */
+const SCHEDULE_DAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+const TIME_RANGE_PATTERN = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/;
+
+const EMAIL_PATTERN = /^[^\s@"\\]+@[^\s@"\\]+\.[^\s@"\\]+$/;
+
+// Location and device posture check IDs are UUIDs, with or without dashes
+const ID_PATTERN = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+
+/**
+ * Parses a time of day like "09:30" into minutes since midnight.
+ * @param {string} hours The hours.
+ * @param {string} minutes The minutes.
+ * @returns {number} NaN if the time is invalid. 24:00 is the end of the day.
+ */
+const parseTime = (hours, minutes) => {
+    const time = Number(hours) * 60 + Number(minutes);
+    return Number(minutes) < 60 && time <= 24 * 60 ? time : NaN;
+};
+
+/**
+ * Validates the time ranges of a day, e.g. "08:00-12:30,13:30-17:00".
+ * @param {string} ranges The time ranges.
+ * @returns {boolean} Whether the ranges are valid, in order and don't overlap.
+ */
+const isValidTimeRanges = (ranges) => {
+    let previousEnd = -1;
+
+    for (const range of ranges.split(",")) {
+        const match = range.match(TIME_RANGE_PATTERN);
+        if (!match) return false;
+
+        const start = parseTime(match[1], match[2]);
+        const end = parseTime(match[3], match[4]);
+        if (!(start < end && start > previousEnd)) return false;
+        previousEnd = end;
+    }
+
+    return true;
+};
+
+/**
+ * Checks whether a time zone is known, e.g. "Europe/Berlin".
+ * @param {string} timeZone The IANA time zone.
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat("en", { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Validates a schedule from the configuration file.
+ * @param {Object} config The schedule, e.g. `{timeZone: "Europe/Berlin", mon: "09:00-17:00"}`.
+ * @param {string} label Describes the profile, for error messages.
+ * @returns {Targeting["schedule"]}
+ * @throws {Error} If the schedule is invalid.
+ */
+const parseSchedule = (config, label) => {
+    if (typeof config !== "object" || config === null) throw new Error(`Invalid schedule in ${label}: use an object`);
+
+    const { timeZone, ...days } = config;
+    if (typeof timeZone !== "string" || !isValidTimeZone(timeZone)) {
+        throw new Error(`Invalid schedule time zone "${timeZone}" in ${label}: use a time zone like "Europe/Berlin"`);
+    }
+
+    const unknown = Object.keys(days).find((day) => !SCHEDULE_DAYS.includes(day));
+    if (unknown) throw new Error(`Invalid schedule day "${unknown}" in ${label}: use ${SCHEDULE_DAYS.join(", ")}`);
+    if (!Object.keys(days).length) throw new Error(`Schedule in ${label} has no days`);
+
+    for (const [day, ranges] of Object.entries(days)) {
+        if (typeof ranges !== "string" || !isValidTimeRanges(ranges)) {
+            throw new Error(`Invalid schedule "${ranges}" for ${day} in ${label}: use time ranges in order like "08:00-12:30,13:30-17:00"`);
+        }
+    }
+
+    return { timeZone, days: Object.fromEntries(SCHEDULE_DAYS.filter((day) => day in days).map((day) => [day, days[day]])) };
+};
+
+/**
+ * Validates a list of strings from the configuration file.
+ * @param {*} values The values.
+ * @param {string} key The setting, for error messages.
+ * @param {string} label Describes the profile, for error messages.
+ * @param {RegExp} pattern The pattern every value must match.
+ * @param {string} hint How to fix an invalid value.
+ * @returns {string[]|undefined} Undefined if not configured.
+ * @throws {Error} If a value is invalid.
+ */
+const parseValues = (values, key, label, pattern, hint) => {
+    if (values === undefined) return undefined;
+    if (!Array.isArray(values) || !values.length) throw new Error(`Invalid ${key} in ${label}: use a non-empty array`);
+
+    const invalid = values.find((value) => typeof value !== "string" || !pattern.test(value));
+    if (invalid !== undefined) throw new Error(`Invalid ${key} value "${invalid}" in ${label}: ${hint}`);
+
+    return values;
+};
+
+/**
+ * Validates the targeting of a profile from the configuration file.
+ * @param {Object} config The profile configuration.
+ * @param {string} label Describes the profile, for error messages.
+ * @returns {Targeting|undefined} Undefined if the profile isn't targeted.
+ * @throws {Error} If the targeting is invalid.
+ */
+export const parseTargeting = (config, label) => {
+    const schedule = config.schedule === undefined ? undefined : parseSchedule(config.schedule, label);
+
+    let identity;
+    if (config.identity !== undefined) {
+        const { emails, groups, ...rest } = config.identity ?? {};
+        const unknown = Object.keys(rest)[0];
+        if (unknown) throw new Error(`Invalid identity setting "${unknown}" in ${label}: use emails and groups`);
+
+        identity = {
+            emails: parseValues(emails, "identity emails", label, EMAIL_PATTERN, "use an email address") ?? [],
+            groups: parseValues(groups, "identity groups", label, /\S/, "use the name of a group") ?? [],
+        };
+        if (!identity.emails.length && !identity.groups.length) {
+            throw new Error(`Identity in ${label} needs emails or groups`);
+        }
+    }
+
+    const locations = parseValues(config.locations, "locations", label, ID_PATTERN, "use the ID of a DNS location");
+    const devicePosture = parseValues(config.devicePosture, "devicePosture", label, ID_PATTERN, "use the ID of a device posture check");
+
+    if (!schedule && !identity && !locations && !devicePosture) return undefined;
+    return { schedule, identity, locations, devicePosture };
+};
+
+/**
+ * Gets the clause that scopes the traffic of a rule, if any. Only DNS rules can be scoped to locations.
+ * @param {Targeting|undefined} targeting The targeting of the profile.
+ * @param {string[]} filters The filters of the rule, e.g. ["dns"].
+ * @returns {string|undefined}
+ */
+export const getTrafficScope = (targeting, filters) =>
+    (targeting?.locations && filters.includes("dns") ? locationClause(targeting.locations) : undefined);
+
+/**
+ * Builds the identity, device posture and schedule fields of a rule.
+ * Rules without targeting get empty fields and no schedule, so that updating them removes targeting that was configured before.
+ * @param {Targeting|undefined} targeting The targeting of the profile.
+ * @returns {{identity: string, device_posture: string, schedule: Object|null}}
+ * @throws {import("./expression.js").ExpressionTooLongError} If the identity expression is too long
+ */
+export const buildTargetingFields = (targeting) => {
+    const { emails = [], groups = [] } = targeting?.identity ?? {};
+    const identity = [
+        ...(emails.length ? [emailClause(emails)] : []),
+        ...(groups.length ? [groupClause(groups)] : []),
+    ];
+
+    return {
+        identity: identity.length ? buildExpression(identity) : "",
+        device_posture: targeting?.devicePosture ? deviceClause(targeting.devicePosture) : "",
+        schedule: targeting?.schedule ? { time_zone: targeting.schedule.timeZone, ...targeting.schedule.days } : null,
+    };
+};
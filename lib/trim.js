@@ -0,0 +1,111 @@
+import { extractDomain } from "./utils.js";
+
+/**
+ * Second-level labels that commonly form public suffixes together with a country code, e.g. "co.uk".
+ * Subdomains are never folded into these.
+ */
+const PUBLIC_SECOND_LEVEL_LABELS = new Set(["ac", "co", "com", "edu", "go", "gov", "ne", "net", "or", "org"]);
+
+/**
+ * A domain dropped to stay within the item budget.
+ * @typedef {Object} DroppedDomain
+ * @property {string} domain The dropped domain.
+ * @property {"folded"|"budget"} reason Why it was dropped: folded into a parent or beyond the budget.
+ * @property {number} score The score of the domain.
+ * @property {string} [into] The parent the domain was folded into.
+ * @property {number} [hits] The DNS queries the domain would have blocked, if query counts were used.
+ */
+
+/**
+ * Checks if a domain is likely to be a public suffix, which must never be blocked as a whole.
+ * @param {string} domain The domain.
+ * @returns {boolean}
+ */
+const isLikelyPublicSuffix = (domain) => {
+    const labels = domain.split(".");
+    return labels.length < 2 ||
+        (labels.length === 2 && labels[1].length === 2 && PUBLIC_SECOND_LEVEL_LABELS.has(labels[0]));
+};
+
+/**
+ * Orders domains by descending score, then by name, so the selection doesn't depend on fetch order.
+ * @param {Map<string, number>} scores The score of every domain.
+ * @returns {(a: string, b: string) => number}
+ */
+const byScore = (scores) => (a, b) => (scores.get(b) - scores.get(a)) || (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Blocks parent domains instead of their subdomains until the domains fit the budget.
+ * Parents with the most blocked subdomains are folded first. Parents of allowed
+ * domains and likely public suffixes are never folded.
+ * @param {string[]} domains The blocked domains, without redundant subdomains.
+ * @param {Map<string, number>} scores The score of every domain. It's left unchanged.
+ * @param {Set<string>|Map<string, number>} allowlist The allowed domains.
+ * @param {number} threshold The minimum number of blocked subdomains for a parent to be folded.
+ * @param {number} limit The item budget.
+ * @returns {{domains: string[], dropped: DroppedDomain[], scores: Map<string, number>}} The kept domains, the folded subdomains
+ * and the score of every domain, where folded parents get the sum of their subdomains' scores.
+ */
+export const foldSubdomains = (domains, scores, allowlist, threshold, limit) => {
+    const subdomains = new Map();
+    for (const domain of domains) {
+        // Ancestors between the top-level domain and the domain itself
+        for (const parent of extractDomain(domain).slice(1, -1)) {
+            if (!subdomains.has(parent)) subdomains.set(parent, []);
+            subdomains.get(parent).push(domain);
+        }
+    }
+
+    const allowedParents = new Set([...allowlist.keys()].flatMap((domain) => extractDomain(domain)));
+    const candidates = [...subdomains]
+        .filter(([parent, children]) =>
+            children.length >= threshold && !allowedParents.has(parent) && !isLikelyPublicSuffix(parent))
+        // Parents have at least as many subdomains as their children, so they're always considered first
+        .sort(([a, x], [b, y]) => (y.length - x.length) || (a.split(".").length - b.split(".").length) || (a < b ? -1 : 1));
+
+    const kept = new Set(domains);
+    const foldedScores = new Map(scores);
+    const folded = new Set();
+    const dropped = [];
+
+    for (const [parent, children] of candidates) {
+        if (kept.size <= limit) break;
+        if (extractDomain(parent).some((item) => folded.has(item))) continue;
+
+        foldedScores.set(parent, children.reduce((total, child) => total + scores.get(child), 0));
+        for (const child of children) {
+            kept.delete(child);
+            dropped.push({ domain: child, reason: "folded", score: scores.get(child), into: parent });
+        }
+        kept.add(parent);
+        folded.add(parent);
+    }
+
+    return { domains: [...kept], dropped, scores: foldedScores };
+};
+
+/**
+ * Selects the domains with the highest scores that fit in the budget.
+ * With query counts, domains that were queried are selected first, the most queried first.
+ * @param {string[]} domains The blocked domains.
+ * @param {Map<string, number>} scores The score of every domain.
+ * @param {number} limit The item budget.
+ * @param {Map<string, number>} [hits] The DNS queries every domain would block.
+ * @returns {{domains: string[], dropped: DroppedDomain[]}} The selected domains, in the order they were selected.
+ */
+export const trimDomains = (domains, scores, limit, hits) => {
+    const compareScores = byScore(scores);
+    const sorted = [...domains].sort(hits
+        ? (a, b) => ((hits.get(b) ?? 0) - (hits.get(a) ?? 0)) || compareScores(a, b)
+        : compareScores);
+
+    return {
+        domains: sorted.slice(0, Math.max(0, limit)),
+        dropped: sorted.slice(Math.max(0, limit)).map((domain) => ({
+            domain,
+            reason: "budget",
+            score: scores.get(domain),
+            ...(hits ? { hits: hits.get(domain) ?? 0 } : {}),
+        })),
+    };
+};
@@ -1,4 +1,6 @@
-import { BOT_TOKEN, CHAT_ID, CLOUDFLARE_RATE_LIMITING_COOLDOWN_TIME, RATE_LIMITING_HTTP_ERROR_CODE } from "./constants.js";
+import { CLOUDFLARE_RATE_LIMITING_COOLDOWN_TIME, RATE_LIMITING_HTTP_ERROR_CODE, RETRY_BASE_DELAY } from "./constants.js";
+import { getRetryDelay, RateLimitWaitExceededError } from "./limiter.js";
+import { notifyAlert } from "./notify.js";
 
 if (!globalThis.fetch) {
     globalThis.fetch = (await import("node-fetch")).default;
@@ -70,45 +72,12 @@ export const memoize = (fn) => {
  */
 export const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-/**
- * Sends a notification message to Telegram
- * @param {string} message The message to send
- * @param {boolean} [isError=false] Whether this is an error message
- */
-export async function sendTelegramNotification(message, isError = false) {
-    if (!BOT_TOKEN || !CHAT_ID) {
-        console.log('Telegram notification skipped - missing configuration');
-        return;
-    }
-
-    try {
-        const response = await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                chat_id: CHAT_ID,
-                text: message,
-                parse_mode: 'HTML',
-                disable_notification: !isError
-            })
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-    } catch (error) {
-        console.error('Failed to send Telegram notification:', error);
-    }
-}
-
 /**
  * Configuration for fetch retry mechanism
  */
 const FETCH_CONFIG = {
     MAX_ATTEMPTS: 5,
-    BASE_DELAY: 1000,
+    BASE_DELAY: RETRY_BASE_DELAY,
     MAX_DELAY: 30000,
     RATE_LIMIT_STATUS: RATE_LIMITING_HTTP_ERROR_CODE,
     RATE_LIMIT_DELAY: CLOUDFLARE_RATE_LIMITING_COOLDOWN_TIME
@@ -124,47 +93,127 @@ const getBackoffDelay = (attempt) => {
         FETCH_CONFIG.MAX_DELAY,
         FETCH_CONFIG.BASE_DELAY * Math.pow(2, attempt)
     );
-    return delay + Math.random() * 1000; // Add jitter
+    return delay + Math.random() * FETCH_CONFIG.BASE_DELAY; // Add jitter
 };
 
 /**
- * Fetches a resource with automatic retries and exponential backoff
- * @param {Parameters<typeof fetch>} args Fetch arguments
+ * Gets how long to wait after being rate limited
+ * @param {Response} response The rate limited response
+ * @returns {number} Delay in milliseconds, from the Retry-After or rate limit headers if the server sent them
+ */
+const getRateLimitDelay = (response) => getRetryDelay(response.headers) ?? FETCH_CONFIG.RATE_LIMIT_DELAY;
+
+/**
+ * Checks if a request that failed with the given status may succeed when retried
+ * @param {number} status The HTTP status
+ * @returns {boolean}
+ */
+const isRetryableStatus = (status) => status === 408 || status === FETCH_CONFIG.RATE_LIMIT_STATUS || status >= 500;
+
+/**
+ * Fetches a resource with automatic retries and exponential backoff.
+ * Network errors, timeouts, rate limits and server errors are retried. Responses with
+ * other error statuses are returned, so that the caller can read the error they carry.
+ * Rate limited attempts count towards the attempts like any other failure.
+ * @param {string|URL} url The URL to fetch
+ * @param {RequestInit} [options] Fetch options
+ * @param {Object} [retryOptions]
+ * @param {number} [retryOptions.timeout] Time limit of every attempt in milliseconds, none if omitted
+ * @param {import("./limiter.js").RateLimiter} [retryOptions.limiter] Schedules every attempt and is throttled
+ * when the server asks to slow down. Rate limits are waited out by this request alone if omitted.
  * @returns {Promise<Response>} Fetch response
- * @throws {Error} If all retry attempts fail
+ * @throws {Error} If all retry attempts fail, or a `RateLimitWaitExceededError` if the limiter waited too long
  */
-export const fetchRetry = async (...args) => {
-    let attempt = 0;
+export const fetchRetry = async (url, options = {}, { timeout, limiter } = {}) => {
+    const send = () => fetch(url, {
+        ...options,
+        ...(timeout ? { signal: AbortSignal.timeout(timeout) } : {}),
+    });
+
+    for (let attempt = 1; ; attempt++) {
+        let error;
+        let delay = getBackoffDelay(attempt);
 
-    while (attempt < FETCH_CONFIG.MAX_ATTEMPTS) {
         try {
-            const response = await fetch(...args);
+            const response = await (limiter ? limiter.schedule(send) : send());
+            // Slow down before the server has to refuse requests
+            const hint = response.ok ? getRetryDelay(response.headers) : null;
+            if (hint !== null && limiter) {
+                try {
+                    limiter.throttle(hint);
+                } catch (throttleError) {
+                    // The request went through, so it must not be reported as failed.
+                    // The next request that is rate limited gives up instead.
+                    if (!(throttleError instanceof RateLimitWaitExceededError)) throw throttleError;
+                }
+            }
 
-            if (response.ok) {
+            if (response.ok || !isRetryableStatus(response.status)) {
                 return response;
             }
 
+            const errorText = await response.text();
+            // The status and body let callers report what the server said after the last attempt
+            error = Object.assign(new Error(`HTTP ${response.status}:${response.statusText} - ${errorText}`), {
+                status: response.status,
+                body: errorText,
+                headers: response.headers,
+            });
+
             // Handle rate limiting specifically
             if (response.status === FETCH_CONFIG.RATE_LIMIT_STATUS) {
-                console.log(`Rate limited. Waiting ${FETCH_CONFIG.RATE_LIMIT_DELAY / 1000}s...`);
-                await wait(FETCH_CONFIG.RATE_LIMIT_DELAY);
-                attempt--; // Don't count rate limits against retry attempts
-                continue;
+                delay = getRateLimitDelay(response);
+                console.log(`Rate limited. Waiting ${delay / 1000}s...`);
             }
+        } catch (fetchError) {
+            if (fetchError instanceof RateLimitWaitExceededError) throw fetchError;
+            error = fetchError;
+        }
 
-            const errorText = await response.text();
-            throw new Error(`HTTP ${response.status}:${response.statusText} - ${errorText}`);
-        } catch (error) {
-            attempt++;
-
-            if (attempt === FETCH_CONFIG.MAX_ATTEMPTS) {
-                await sendTelegramNotification(`Failed to fetch after ${attempt} attempts: ${error.message}`, true);
-                throw error;
-            }
+        if (attempt === FETCH_CONFIG.MAX_ATTEMPTS) {
+            await notifyAlert(`Failed to fetch after ${attempt} attempts: ${error.message}`);
+            throw error;
+        }
 
-            const delay = getBackoffDelay(attempt);
-            console.warn(`Fetch attempt ${attempt} failed: ${error.message}. Retrying in ${delay / 1000}s...`);
-            await wait(delay);
+        if (error.status === FETCH_CONFIG.RATE_LIMIT_STATUS && limiter) {
+            // Every request waits out the pause, so this one doesn't need to wait on its own
+            limiter.throttle(delay);
+            delay = 0;
         }
+
+        console.warn(`Fetch attempt ${attempt} failed: ${error.message}. Retrying in ${delay / 1000}s...`);
+        await wait(delay);
     }
 };
+
+/**
+ * Maps items with an async function, running at most `concurrency` calls at a time.
+ * Once a call fails, no further calls are started, and the first error is thrown
+ * after the running calls settled, so that nothing is left running behind the caller's back.
+ * @template T, R
+ * @param {T[]} items The items.
+ * @param {number} concurrency The maximum number of calls running at once.
+ * @param {(item: T, index: number) => Promise<R>} fn The function to call with every item.
+ * @returns {Promise<R[]>} The results, in the order of the items.
+ */
+export const mapConcurrent = async (items, concurrency, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+
+    const worker = async () => {
+        while (!failure && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (error) {
+                failure ??= { error };
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker));
+    if (failure) throw failure.error;
+
+    return results;
+};
@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+
+import { createMockGateway } from "./mock-gateway.js";
+
+describe("Cloudflare API client", () => {
+    const gateway = createMockGateway({ maxPerPage: 100 });
+    let api;
+    let CloudflareApiError;
+
+    before(async () => {
+        // The settings are read when the library is first imported
+        Object.assign(process.env, {
+            CLOUDFLARE_API_HOST: await gateway.listen(),
+            CLOUDFLARE_ACCOUNT_ID: "account",
+            CLOUDFLARE_API_TOKEN: "token",
+            CLOUDFLARE_API_TIMEOUT: "200",
+            RETRY_BASE_DELAY: "10",
+            CLOUDFLARE_API_RATE_LIMIT: "1000",
+        });
+        api = await import("../lib/api.js");
+        ({ CloudflareApiError } = await import("../lib/helpers.js"));
+    });
+
+    after(async () => {
+        await gateway.close();
+    });
+
+    beforeEach(() => {
+        gateway.reset();
+    });
+
+    it("reports the errors Cloudflare returned, without retrying", async () => {
+        const items = Array.from({ length: 1001 }, (_, index) => ({ value: `d${index}.example.org` }));
+
+        const error = await api.createZeroTrustList("Too Big", items).then(() => null, (error) => error);
+
+        assert.ok(error instanceof CloudflareApiError);
+        assert.equal(error.status, 400);
+        assert.deepEqual(error.codes, [7010]);
+        assert.match(error.requestId, /-MOCK$/);
+        assert.match(error.message, /^POST \/accounts\/account\/gateway\/lists failed with HTTP 400: \[7010\] /);
+        assert.equal(gateway.requests.length, 1);
+    });
+
+    it("treats responses with success: false as errors", async () => {
+        gateway.fail({ method: "GET", path: "/rules", status: 200 });
+
+        await assert.rejects(api.getZeroTrustRules(), (error) => {
+            assert.ok(error instanceof CloudflareApiError);
+            assert.deepEqual(error.codes, [10001]);
+            return true;
+        });
+    });
+
+    it("reports the last error once the retries ran out", async () => {
+        gateway.fail({ method: "GET", path: "/rules", status: 503, times: Infinity });
+
+        await assert.rejects(api.getZeroTrustRules(), (error) => {
+            assert.ok(error instanceof CloudflareApiError);
+            assert.equal(error.status, 503);
+            assert.deepEqual(error.codes, [10001]);
+            return true;
+        });
+    });
+
+    it("follows the pagination of lists and rules", async () => {
+        for (let index = 0; index < 60; index++) {
+            await api.createZeroTrustList(`List ${index}`, []);
+        }
+        for (let index = 0; index < 30; index++) {
+            await api.createZeroTrustRule("", `Rule ${index}`);
+        }
+
+        const [{ result: lists }, { result: rules }] = await Promise.all([api.getZeroTrustLists(), api.getZeroTrustRules()]);
+
+        assert.equal(lists.length, 60);
+        assert.equal(new Set(lists.map(({ id }) => id)).size, 60);
+        assert.equal(rules.length, 30);
+    });
+
+    it("fetches every page of list items", async () => {
+        const values = Array.from({ length: 1000 }, (_, index) => `d${index}.example.org`);
+        const { result } = await api.createZeroTrustList("Full", values.map((value) => ({ value })));
+
+        assert.deepEqual(await api.getZeroTrustListItems(result.id), values);
+        assert.equal(gateway.requests.filter(({ path }) => path === `/lists/${result.id}/items`).length, 10);
+    });
+
+    it("counts the blocked and allowed queries of Gateway analytics", async () => {
+        const { fetchQueryCounts, getHits, getTopBlocked } = await import("../lib/analytics.js");
+        gateway.queries.push(
+            { queryName: "ads.example.com.", resolverDecision: 9, count: 5 },
+            { queryName: "ads.example.com", resolverDecision: 5, count: 2 },
+            { queryName: "tracker.example.com", resolverDecision: 3, count: 7 },
+            { queryName: "example.org", resolverDecision: 10, count: 1 }
+        );
+
+        const queryCounts = await fetchQueryCounts();
+
+        assert.deepEqual(queryCounts.domains.get("ads.example.com"), { blocked: 5, allowed: 2 });
+        assert.deepEqual(getTopBlocked(queryCounts, 2), [
+            { domain: "tracker.example.com", blocked: 7 },
+            { domain: "ads.example.com", blocked: 5 },
+        ]);
+        assert.equal(getHits(queryCounts).get("example.com"), 14);
+    });
+
+    it("reports GraphQL errors", async () => {
+        const { requestGraphql } = await import("../lib/helpers.js");
+
+        await assert.rejects(requestGraphql("{ viewer { zones { id } } }"), (error) => {
+            assert.ok(error instanceof CloudflareApiError);
+            assert.match(error.message, /^POST \/graphql failed: unknown dataset$/);
+            assert.deepEqual(error.codes, ["bad_request"]);
+            return true;
+        });
+    });
+
+    it("retries requests that time out", async () => {
+        gateway.fail({ method: "GET", path: "/lists", delay: 1000 });
+
+        const { result } = await api.getZeroTrustLists();
+
+        assert.deepEqual(result, []);
+    });
+
+    it("gives up on requests that keep timing out", async () => {
+        gateway.fail({ method: "GET", path: "/lists", delay: 300, times: Infinity });
+
+        await assert.rejects(api.getZeroTrustLists(), (error) => {
+            assert.ok(error instanceof CloudflareApiError);
+            assert.equal(error.status, undefined);
+            assert.equal(error.cause.name, "TimeoutError");
+            return true;
+        });
+    });
+});
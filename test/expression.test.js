@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+    buildExpression,
+    ExpressionTooLongError,
+    getListsPerRule,
+    getScopedMaxLength,
+    listClause,
+    locationClause,
+    matchClause,
+    scopeExpression,
+} from "../lib/expression.js";
+
+describe("expression builder", () => {
+    it("builds clauses for array and scalar fields, and escapes patterns", () => {
+        assert.equal(listClause("dns.domains", "id"), "any(dns.domains[*] in $id)");
+        assert.equal(listClause("net.dst.ip", "id"), "net.dst.ip in $id");
+        assert.equal(matchClause("dns.domains", "^ad\"s\\.com$"), "any(dns.domains[*] matches \"^ad\\\"s\\\\.com$\")");
+    });
+
+    it("measures expressions and refuses those over the limit", () => {
+        const clauses = ["any(dns.domains[*] in $a)", "any(dns.domains[*] in $b)"];
+
+        assert.equal(buildExpression(clauses), "any(dns.domains[*] in $a) or any(dns.domains[*] in $b)");
+        assert.throws(() => buildExpression(clauses, 50), (error) => {
+            assert.ok(error instanceof ExpressionTooLongError);
+            assert.equal(error.length, 54);
+            return true;
+        });
+    });
+
+    it("restricts expressions to a scope, leaving room for it", () => {
+        const scope = locationClause(["a", "b"]);
+
+        assert.equal(scope, "dns.location in {\"a\" \"b\"}");
+        assert.equal(scopeExpression("x or y", scope), "(x or y) and dns.location in {\"a\" \"b\"}");
+        assert.equal(scopeExpression("x", undefined), "x");
+        assert.equal(getScopedMaxLength(scope, 100), 100 - "() and ".length - scope.length);
+    });
+
+    it("fits as many lists in a rule as UUIDs allow", () => {
+        const clause = listClause("dns.domains", "00000000-0000-0000-0000-000000000000").length;
+
+        assert.equal(getListsPerRule("dns.domains", clause * 3 + 8), 3);
+        assert.equal(getListsPerRule("dns.domains", clause * 3 + 7), 2);
+        assert.equal(getListsPerRule("dns.domains", 10), 1);
+    });
+});
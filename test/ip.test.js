@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { mergeIpRanges, normalizeIpRange, trimIpRanges } from "../lib/ip.js";
+import { parseFilterList } from "../lib/parser.js";
+
+describe("normalizeIpRange", () => {
+    it("normalizes addresses and blocks", () => {
+        assert.equal(normalizeIpRange("192.0.2.1"), "192.0.2.1");
+        assert.equal(normalizeIpRange("192.0.2.1/24"), "192.0.2.0/24");
+        assert.equal(normalizeIpRange("192.0.2.1/32"), "192.0.2.1");
+        assert.equal(normalizeIpRange("2001:DB8:0:0::1/128"), "2001:db8::1");
+        assert.equal(normalizeIpRange("2001:db8:0:0:1:0:0:1"), "2001:db8::1:0:0:1");
+        assert.equal(normalizeIpRange("::ffff:192.0.2.1"), "::ffff:c000:201");
+    });
+
+    it("rejects invalid addresses and blocks", () => {
+        for (const value of ["256.0.0.1", "192.0.2.01", "192.0.2.0/33", "192.0.2.0/08", "0.0.0.0/0", "::/0", "1::2::3", "fe80::1%eth0", "example.com"]) {
+            assert.equal(normalizeIpRange(value), null, value);
+        }
+    });
+});
+
+describe("mergeIpRanges", () => {
+    it("merges overlapping and adjacent blocks, keeping the highest score of what they cover", () => {
+        const merged = mergeIpRanges(new Map([
+            ["198.51.100.0/25", 1],
+            ["198.51.100.128/25", 1],
+            ["198.51.100.7", 3],
+            ["198.51.101.0", 1],
+            ["2001:db8::/33", 2],
+            ["2001:db8:8000::/33", 1],
+            ["192.0.2.0/24", 1],
+        ]));
+
+        assert.deepEqual([...merged], [
+            ["192.0.2.0/24", 1],
+            ["198.51.100.0/24", 3],
+            ["198.51.101.0", 1],
+            ["2001:db8::/32", 2],
+        ]);
+    });
+
+    it("keeps the blocks with the highest scores within the limit", () => {
+        const { ranges, dropped } = trimIpRanges(new Map([["192.0.2.0/24", 1], ["198.51.100.0/24", 2], ["2001:db8::/32", 1]]), 2);
+
+        assert.deepEqual(ranges, ["198.51.100.0/24", "192.0.2.0/24"]);
+        assert.equal(dropped, 1);
+    });
+});
+
+describe("parseFilterList", () => {
+    it("detects lists of IP addresses and blocks", () => {
+        const { format, entries } = parseFilterList("; Spamhaus DROP\n192.0.2.0/24 ; SBL1\n198.51.100.1\n2001:db8::/32\n");
+
+        assert.equal(format, "ips");
+        assert.deepEqual(entries.map(({ ip }) => ip), ["192.0.2.0/24", "198.51.100.1", "2001:db8::/32"]);
+    });
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { describe, it } from "node:test";
+
+import { createRateLimiter, getRetryDelay, RateLimitWaitExceededError } from "../lib/limiter.js";
+import { fetchRetry } from "../lib/utils.js";
+
+/**
+ * Waits for a period of time.
+ * @param {number} ms The time to wait in milliseconds.
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("createRateLimiter", () => {
+    it("starts no more calls per second than the rate after the burst", async () => {
+        const limiter = createRateLimiter({ rate: 20, burst: 1 });
+        const startedAt = Date.now();
+
+        await Promise.all(Array.from({ length: 5 }, () => limiter.schedule(async () => {})));
+
+        // The first call starts right away, the other four 50ms apart
+        assert.ok(Date.now() - startedAt >= 190);
+    });
+
+    it("runs no more calls at once than the concurrency", async () => {
+        const limiter = createRateLimiter({ rate: 1000, concurrency: 2 });
+        let running = 0;
+        let maxRunning = 0;
+
+        const results = await Promise.all(Array.from({ length: 6 }, (_, index) => limiter.schedule(async () => {
+            maxRunning = Math.max(maxRunning, ++running);
+            await sleep(20);
+            running--;
+            return index;
+        })));
+
+        assert.equal(maxRunning, 2);
+        assert.deepEqual(results, [0, 1, 2, 3, 4, 5]);
+    });
+
+    it("passes on the errors of calls", async () => {
+        const limiter = createRateLimiter({ rate: 1000 });
+
+        await assert.rejects(limiter.schedule(async () => {
+            throw new Error("boom");
+        }), /boom/);
+    });
+
+    it("pauses and slows down when throttled", async () => {
+        const limiter = createRateLimiter({ rate: 1000 });
+        limiter.throttle(150);
+        // Calls that were already running only extend the pause
+        limiter.throttle(100);
+        const startedAt = Date.now();
+
+        await limiter.schedule(async () => {});
+
+        assert.ok(Date.now() - startedAt >= 140);
+        assert.equal(limiter.getStats().waited, 150);
+        assert.ok(limiter.getStats().rate < 1000);
+    });
+
+    it("gives up once the total wait would exceed the maximum", () => {
+        const limiter = createRateLimiter({ rate: 1000, maxWait: 1000 });
+        limiter.throttle(600);
+
+        assert.throws(() => limiter.throttle(2000), RateLimitWaitExceededError);
+    });
+});
+
+describe("fetchRetry", () => {
+    it("returns successful responses that ask to slow down for longer than the limiter may wait", async () => {
+        const server = createServer((request, response) => {
+            response.writeHead(200, { RateLimit: "\"default\";r=0;t=60" }).end("ok");
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const limiter = createRateLimiter({ rate: 1000, maxWait: 1000 });
+
+        try {
+            const response = await fetchRetry(`http://127.0.0.1:${server.address().port}/`, {}, { limiter });
+
+            assert.equal(await response.text(), "ok");
+            assert.equal(limiter.getStats().waited, 0);
+        } finally {
+            server.closeAllConnections();
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+});
+
+describe("getRetryDelay", () => {
+    it("reads Retry-After in seconds", () => {
+        assert.equal(getRetryDelay(new Headers({ "Retry-After": "30" })), 30000);
+    });
+
+    it("reads Retry-After dates", () => {
+        const delay = getRetryDelay(new Headers({ "Retry-After": new Date(Date.now() + 60000).toUTCString() }));
+
+        assert.ok(delay > 58000 && delay <= 60000);
+    });
+
+    it("reads the reset time once no requests remain", () => {
+        assert.equal(getRetryDelay(new Headers({ RateLimit: "\"default\";r=0;t=12" })), 12000);
+        assert.equal(getRetryDelay(new Headers({ "X-RateLimit-Remaining": "0", "X-RateLimit-Reset": "5" })), 5000);
+    });
+
+    it("doesn't ask to wait while requests remain", () => {
+        assert.equal(getRetryDelay(new Headers({ RateLimit: "\"default\";r=100;t=12" })), null);
+        assert.equal(getRetryDelay(new Headers()), null);
+    });
+});
@@ -0,0 +1,466 @@
+import { randomUUID } from "node:crypto";
+import { createServer } from "node:http";
+import { pathToFileURL } from "node:url";
+
+/**
+ * A local stand-in for the Zero Trust Gateway lists and rules API, and the
+ * Gateway DNS analytics of the GraphQL API, so that syncs can be tested
+ * without a Cloudflare account.
+ *
+ * Run `node test/mock-gateway.js [port]` and set `CLOUDFLARE_API_HOST` to the
+ * printed URL to point CGPS at it.
+ */
+
+/**
+ * A failure the mock returns instead of handling a request.
+ * @typedef {Object} Failure
+ * @property {string} [method] The HTTP method to fail, any if omitted.
+ * @property {RegExp|string} [path] The path to fail, relative to the gateway, e.g. `/lists` or `/^\/lists\/[^/]+$/`,
+ * or `/graphql` for the GraphQL API. Any if omitted.
+ * @property {number} [status=500] The HTTP status to respond with.
+ * @property {number} [times=1] How many matching requests fail. `Infinity` fails all of them.
+ * @property {number} [after=0] How many matching requests succeed before the failures start.
+ * @property {number} [retryAfter] The Retry-After header to send, in seconds. Defaults to 1 for 429 responses.
+ * @property {number} [delay] Delays the response by this many milliseconds, e.g. to make requests time out.
+ * Without a `status`, the request is handled normally after the delay.
+ */
+
+/**
+ * DNS queries the GraphQL API reports, like a group of Gateway DNS logs.
+ * @typedef {Object} QueryGroup
+ * @property {string} queryName The queried domain.
+ * @property {number} resolverDecision How Gateway resolved the queries, e.g. 9 for blocked by a rule.
+ * @property {number} count The number of queries.
+ * @property {string} [datetime] When the queries were made, as an ISO date. Within any window if omitted.
+ */
+
+/**
+ * Options of the mock.
+ * @typedef {Object} MockGatewayOptions
+ * @property {string} [accountId="account"] The only account ID the mock accepts.
+ * @property {string} [token="token"] The only API token the mock accepts.
+ * @property {number} [listItemLimit=1000] The maximum number of items per list.
+ * @property {number} [accountItemLimit=300000] The maximum number of items across all lists.
+ * @property {number} [maxPerPage=1000] The maximum page size.
+ * @property {number} [defaultPerPage=25] The page size if the request doesn't give one.
+ */
+
+/**
+ * The types of lists Gateway supports
+ */
+const LIST_TYPES = ["DOMAIN", "IP", "URL", "EMAIL", "SERIAL"];
+
+/**
+ * Builds a Cloudflare API response envelope.
+ * @param {*} result The result.
+ * @param {Object} [resultInfo] Pagination details.
+ * @returns {Object}
+ */
+const successEnvelope = (result, resultInfo) => ({
+    success: true,
+    errors: [],
+    messages: [],
+    result,
+    ...(resultInfo ? { result_info: resultInfo } : {}),
+});
+
+/**
+ * Builds a Cloudflare API error envelope.
+ * @param {number} code The Cloudflare error code.
+ * @param {string} message The error message.
+ * @returns {Object}
+ */
+const errorEnvelope = (code, message) => ({
+    success: false,
+    errors: [{ code, message }],
+    messages: [],
+    result: null,
+});
+
+/**
+ * Builds a random Cloudflare request ID.
+ * @returns {string}
+ */
+const createRequestId = () => `${randomUUID().replace(/-/g, "").slice(0, 16)}-MOCK`;
+
+/**
+ * Thrown by route handlers to respond with an API error.
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status The HTTP status.
+     * @param {number} code The Cloudflare error code.
+     * @param {string} message The error message.
+     */
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Wraps a server with the methods to start and stop it.
+ * @param {import("node:http").Server} server The server.
+ * @returns {{listen: (port?: number) => Promise<string>, close: () => Promise<void>}}
+ */
+const toListener = (server) => ({
+    /**
+     * Starts listening on localhost.
+     * @param {number} [port=0] The port, a free one if 0.
+     * @returns {Promise<string>} The API host to set `CLOUDFLARE_API_HOST` to.
+     */
+    listen: (port = 0) => new Promise((resolve) => {
+        server.listen(port, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}/client/v4`));
+    }),
+
+    /**
+     * Stops the server.
+     * @returns {Promise<void>}
+     */
+    close: () => new Promise((resolve, reject) => {
+        server.closeAllConnections();
+        server.close((error) => (error ? reject(error) : resolve()));
+    }),
+});
+
+/**
+ * Reads the JSON body of a request.
+ * @param {import("node:http").IncomingMessage} request The request.
+ * @returns {Promise<Object|null>}
+ */
+const readBody = async (request) => {
+    let body = "";
+    for await (const chunk of request) body += chunk;
+    if (!body) return null;
+
+    try {
+        return JSON.parse(body);
+    } catch {
+        throw new ApiError(400, 1001, "Invalid JSON body");
+    }
+};
+
+/**
+ * Creates a mock Gateway API.
+ * Lists keep their items in insertion order, rules get a precedence if none is given
+ * and lists referenced by a rule can't be deleted, like on Cloudflare.
+ * @param {MockGatewayOptions} [options]
+ */
+export const createMockGateway = ({
+    accountId = "account",
+    token = "token",
+    listItemLimit = 1000,
+    accountItemLimit = 300000,
+    maxPerPage = 1000,
+    defaultPerPage = 25,
+} = {}) => {
+    /** @type {Map<string, {id: string, name: string, description: string, type: string, items: Array<{value: string, created_at: string}>, created_at: string, updated_at: string}>} */
+    const lists = new Map();
+    /** @type {Map<string, Object>} */
+    const rules = new Map();
+    /** @type {Array<Failure & {seen: number, failed: number}>} */
+    const failures = [];
+    /** @type {Array<{method: string, path: string, status: number}>} */
+    const requests = [];
+    /** @type {QueryGroup[]} */
+    const queries = [];
+
+    const now = () => new Date().toISOString();
+    const countItems = () => [...lists.values()].reduce((total, { items }) => total + items.length, 0);
+    const toListObject = ({ items, ...list }) => ({ ...list, count: items.length });
+
+    const paginate = (results, query) => {
+        const page = Math.max(1, parseInt(query.get("page") ?? "1", 10));
+        const perPage = Math.min(maxPerPage, Math.max(1, parseInt(query.get("per_page") ?? String(defaultPerPage), 10)));
+        const pageResults = results.slice((page - 1) * perPage, page * perPage);
+
+        return {
+            body: successEnvelope(pageResults, {
+                page,
+                per_page: perPage,
+                count: pageResults.length,
+                total_count: results.length,
+                total_pages: Math.ceil(results.length / perPage),
+            }),
+        };
+    };
+
+    const getList = (id) => {
+        const list = lists.get(id);
+        if (!list) throw new ApiError(404, 7001, "List not found");
+        return list;
+    };
+
+    const getRule = (id) => {
+        const rule = rules.get(id);
+        if (!rule) throw new ApiError(404, 7002, "Rule not found");
+        return rule;
+    };
+
+    const checkItems = (items, extraItems) => {
+        if (items.length > listItemLimit) {
+            throw new ApiError(400, 7010, `Lists can have at most ${listItemLimit} items`);
+        }
+        if (countItems() + extraItems > accountItemLimit) {
+            throw new ApiError(400, 7011, `The account can have at most ${accountItemLimit} list items`);
+        }
+    };
+
+    const checkListReferences = (traffic) => {
+        for (const [, id] of (traffic || "").matchAll(/\$([\w-]+)/g)) {
+            if (!lists.has(id)) throw new ApiError(400, 7020, `Rule references unknown list ${id}`);
+        }
+    };
+
+    const buildRule = (body, current = {}) => {
+        if (!body?.name || !body.action) throw new ApiError(400, 7021, "Rules need a name and an action");
+        if (body.precedence !== undefined && !(Number.isInteger(body.precedence) && body.precedence > 0)) {
+            throw new ApiError(400, 7022, "Precedence must be a positive integer");
+        }
+        checkListReferences(body.traffic);
+
+        const precedences = [...rules.values()].map(({ precedence }) => precedence);
+        return {
+            ...body,
+            id: current.id ?? randomUUID(),
+            precedence: body.precedence ?? current.precedence ?? Math.max(0, ...precedences) + 1000,
+            created_at: current.created_at ?? now(),
+            updated_at: now(),
+        };
+    };
+
+    const queryAnalytics = (body) => {
+        const { query = "", variables = {} } = body ?? {};
+        if (!query.includes("gatewayResolverQueriesAdaptiveGroups")) {
+            return { body: { data: null, errors: [{ message: "unknown dataset", extensions: { code: "bad_request" } }] } };
+        }
+        if (variables.accountTag !== accountId) {
+            return { body: { data: null, errors: [{ message: "not authorized for that account", extensions: { code: "authz" } }] } };
+        }
+
+        const since = Date.parse(variables.since);
+        const until = Date.parse(variables.until);
+        const groups = new Map();
+        for (const { queryName, resolverDecision, count, datetime } of queries) {
+            if (datetime && (Date.parse(datetime) < since || Date.parse(datetime) > until)) continue;
+
+            const key = `${queryName}\n${resolverDecision}`;
+            const group = groups.get(key) ?? { count: 0, dimensions: { queryName, resolverDecision } };
+            group.count += count;
+            groups.set(key, group);
+        }
+
+        const results = [...groups.values()].sort((a, b) => b.count - a.count).slice(0, variables.limit);
+        return { body: { data: { viewer: { accounts: [{ gatewayResolverQueriesAdaptiveGroups: results }] } }, errors: null } };
+    };
+
+    /**
+     * The handlers of every route, by method and path pattern relative to the gateway.
+     * @type {Array<[string, RegExp, (params: string[], body: Object|null, query: URLSearchParams) => {status?: number, body: Object}]>}
+     */
+    const routes = [
+        // The GraphQL API isn't part of the gateway, but shares the handling
+        ["POST", /^\/graphql$/, (params, body) => queryAnalytics(body)],
+        ["GET", /^\/lists$/, (params, body, query) => paginate([...lists.values()].map(toListObject), query)],
+        ["POST", /^\/lists$/, (params, body) => {
+            if (!body?.name || !body.type) throw new ApiError(400, 7012, "Lists need a name and a type");
+            if (!LIST_TYPES.includes(body.type)) throw new ApiError(400, 7013, `Unknown list type ${body.type}`);
+
+            const items = body.items ?? [];
+            checkItems(items, items.length);
+            const list = {
+                id: randomUUID(),
+                name: body.name,
+                description: body.description ?? "",
+                type: body.type,
+                items: items.map(({ value }) => ({ value, created_at: now() })),
+                created_at: now(),
+                updated_at: now(),
+            };
+            lists.set(list.id, list);
+
+            return { body: successEnvelope(toListObject(list)) };
+        }],
+        ["GET", /^\/lists\/([^/]+)$/, ([id]) => ({ body: successEnvelope(toListObject(getList(id))) })],
+        ["GET", /^\/lists\/([^/]+)\/items$/, ([id], body, query) => paginate(getList(id).items, query)],
+        ["PATCH", /^\/lists\/([^/]+)$/, ([id], body) => {
+            const list = getList(id);
+            const remove = new Set(body?.remove ?? []);
+            const existing = new Set(list.items.map(({ value }) => value));
+            const append = (body?.append ?? []).filter(({ value }) => !existing.has(value));
+            const items = [
+                ...list.items.filter(({ value }) => !remove.has(value)),
+                ...append.map(({ value }) => ({ value, created_at: now() })),
+            ];
+
+            checkItems(items, items.length - list.items.length);
+            Object.assign(list, { items, updated_at: now() });
+
+            return { body: successEnvelope(toListObject(list)) };
+        }],
+        ["DELETE", /^\/lists\/([^/]+)$/, ([id]) => {
+            getList(id);
+            const rule = [...rules.values()].find(({ traffic }) => (traffic || "").includes(`$${id}`));
+            if (rule) throw new ApiError(400, 7030, `List is in use by rule "${rule.name}"`);
+
+            lists.delete(id);
+            return { body: successEnvelope({}) };
+        }],
+        ["GET", /^\/rules$/, (params, body, query) => paginate([...rules.values()], query)],
+        ["POST", /^\/rules$/, (params, body) => {
+            const rule = buildRule(body);
+            rules.set(rule.id, rule);
+            return { body: successEnvelope(rule) };
+        }],
+        ["GET", /^\/rules\/([^/]+)$/, ([id]) => ({ body: successEnvelope(getRule(id)) })],
+        ["PUT", /^\/rules\/([^/]+)$/, ([id], body) => {
+            const rule = buildRule(body, getRule(id));
+            rules.set(id, rule);
+            return { body: successEnvelope(rule) };
+        }],
+        ["DELETE", /^\/rules\/([^/]+)$/, ([id]) => {
+            getRule(id);
+            rules.delete(id);
+            return { body: successEnvelope({}) };
+        }],
+    ];
+
+    /**
+     * Finds the injected failure a request runs into, if any.
+     * @param {string} method The HTTP method.
+     * @param {string} path The path relative to the gateway.
+     * @returns {Failure|undefined}
+     */
+    const takeFailure = (method, path) => failures.find((failure) => {
+        const matchesPath = failure.path === undefined ||
+            (failure.path instanceof RegExp ? failure.path.test(path) : failure.path === path);
+        if ((failure.method && failure.method !== method) || !matchesPath) return false;
+
+        failure.seen++;
+        if (failure.seen <= failure.after || failure.failed >= failure.times) return false;
+
+        failure.failed++;
+        return true;
+    });
+
+    const handle = async (request, response) => {
+        const url = new URL(request.url, "http://localhost");
+        const prefix = `/client/v4/accounts/${accountId}/gateway`;
+        const path = url.pathname.startsWith(prefix)
+            ? url.pathname.slice(prefix.length)
+            : url.pathname === "/client/v4/graphql" ? "/graphql" : null;
+        const send = (status, body, headers = {}) => {
+            requests.push({ method: request.method, path: path ?? url.pathname, status });
+            response.writeHead(status, { "Content-Type": "application/json", "cf-ray": createRequestId(), ...headers });
+            response.end(JSON.stringify(body));
+        };
+
+        try {
+            if (request.headers.authorization !== `Bearer ${token}`) {
+                return send(403, errorEnvelope(10000, "Authentication error"));
+            }
+            if (path === null) return send(404, errorEnvelope(7003, "Could not route to the requested path"));
+
+            const injected = takeFailure(request.method, path);
+            if (injected?.delay) await new Promise((resolve) => setTimeout(resolve, injected.delay));
+            if (injected && (injected.status !== undefined || !injected.delay)) {
+                const status = injected.status ?? 500;
+                const retryAfter = injected.retryAfter ?? (status === 429 ? 1 : undefined);
+                return send(
+                    status,
+                    errorEnvelope(status === 429 ? 971 : 10001, status === 429 ? "Rate limited" : "Injected failure"),
+                    retryAfter !== undefined ? { "Retry-After": String(retryAfter) } : {}
+                );
+            }
+
+            const body = await readBody(request);
+            for (const [method, pattern, handler] of routes) {
+                const match = pattern.exec(path);
+                if (method !== request.method || !match) continue;
+
+                const result = handler(match.slice(1), body, url.searchParams);
+                return send(result.status ?? 200, result.body);
+            }
+
+            send(405, errorEnvelope(10405, `${request.method} ${path} is not supported`));
+        } catch (error) {
+            if (error instanceof ApiError) return send(error.status, errorEnvelope(error.code, error.message));
+            send(500, errorEnvelope(10002, error.message));
+        }
+    };
+
+    const server = createServer((request, response) => {
+        handle(request, response);
+    });
+
+    return {
+        accountId,
+        token,
+        lists,
+        rules,
+        requests,
+        queries,
+        ...toListener(server),
+
+        /**
+         * Handles a request, e.g. one routed by `serveMockGateways`.
+         * @param {import("node:http").IncomingMessage} request The request.
+         * @param {import("node:http").ServerResponse} response The response.
+         * @returns {Promise<void>}
+         */
+        handle,
+
+        /**
+         * Makes matching requests fail.
+         * @param {Failure} failure The failure.
+         */
+        fail: (failure) => {
+            failures.push({ times: 1, after: 0, ...failure, seen: 0, failed: 0 });
+        },
+
+        /**
+         * Clears the state, the injected failures, the request log and the DNS queries.
+         */
+        reset: () => {
+            lists.clear();
+            rules.clear();
+            failures.length = 0;
+            requests.length = 0;
+            queries.length = 0;
+        },
+
+        /**
+         * Gets the items of a list.
+         * @param {string} id The ID of the list.
+         * @returns {string[]}
+         */
+        getItems: (id) => getList(id).items.map(({ value }) => value),
+    };
+};
+
+/**
+ * Serves the mock Gateway APIs of several accounts on one host, like Cloudflare does.
+ * Requests are routed by the account in their path, GraphQL requests by their API token.
+ * @param {Array<ReturnType<typeof createMockGateway>>} gateways The mocks of the accounts.
+ * @returns {{listen: (port?: number) => Promise<string>, close: () => Promise<void>}}
+ */
+export const serveMockGateways = (gateways) => toListener(createServer((request, response) => {
+    const gateway = gateways.find(({ accountId, token }) => request.url.startsWith("/client/v4/graphql")
+        ? request.headers.authorization === `Bearer ${token}`
+        : request.url.startsWith(`/client/v4/accounts/${accountId}/`));
+
+    // Unknown accounts are rejected by any of the mocks
+    (gateway ?? gateways[0]).handle(request, response);
+}));
+
+// Runs the mock on its own, e.g. to try CGPS against it
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const gateway = createMockGateway({
+        accountId: process.env.CLOUDFLARE_ACCOUNT_ID || undefined,
+        token: process.env.CLOUDFLARE_API_TOKEN || undefined,
+    });
+    const host = await gateway.listen(parseInt(process.argv[2] ?? "8787", 10));
+
+    console.log(`Mock Gateway API listening, set CLOUDFLARE_API_HOST=${host}`);
+}
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { matchClause } from "../lib/expression.js";
+import { parseFilterList } from "../lib/parser.js";
+import { compileRegex, compileWildcard, packPatterns } from "../lib/regex.js";
+
+describe("compileWildcard", () => {
+    it("anchors wildcards to the whole domain, or its subdomains", () => {
+        assert.deepEqual(compileWildcard("ads*.example.com"), { pattern: "^ads.*\\.example\\.com$" });
+        assert.deepEqual(compileWildcard("ADS*.example.com", true), { pattern: "(?:^|\\.)ads.*\\.example\\.com$" });
+        assert.deepEqual(compileWildcard("**tracker*"), { pattern: "tracker" });
+        assert.deepEqual(compileWildcard("metrics.*"), { pattern: "^metrics\\." });
+    });
+
+    it("rejects wildcards that would block most domains", () => {
+        assert.deepEqual(compileWildcard("*ad*"), { reason: "too broad" });
+        assert.deepEqual(compileWildcard("*.*"), { reason: "too broad" });
+        assert.deepEqual(compileWildcard("ads*.exa$mple.com"), { reason: "invalid characters" });
+    });
+});
+
+describe("compileRegex", () => {
+    it("keeps what RE2 supports and turns named groups into plain groups", () => {
+        assert.deepEqual(compileRegex("^ad[0-9]+\\."), { pattern: "^ad[0-9]+\\." });
+        assert.deepEqual(compileRegex("(?<prefix>ads|track)\\.example\\.com$"), { pattern: "(?:ads|track)\\.example\\.com$" });
+        assert.deepEqual(compileRegex("\\\\1tracker"), { pattern: "\\\\1tracker" });
+    });
+
+    it("rejects what RE2 doesn't support and patterns that match too much", () => {
+        assert.deepEqual(compileRegex("^(?!www)ads\\."), { reason: "lookarounds aren't supported by RE2" });
+        assert.deepEqual(compileRegex("(ads)\\1\\.com"), { reason: "backreferences aren't supported by RE2" });
+        assert.deepEqual(compileRegex("\\u0061ds\\.com"), { reason: "escape isn't supported by RE2" });
+        assert.deepEqual(compileRegex("ads[0-9]{1001}"), { reason: "repetitions over 1000 aren't supported by RE2" });
+        assert.deepEqual(compileRegex("ads(\\.com"), { reason: "invalid regular expression" });
+        assert.deepEqual(compileRegex("tracker|.*"), { reason: "too broad" });
+        assert.deepEqual(compileRegex("ad[0-9]"), { reason: "too broad" });
+    });
+});
+
+describe("packPatterns", () => {
+    it("spreads patterns across rules within the maximum length and the budget", () => {
+        const clause = matchClause("dns.domains", "tracker").length;
+
+        const { rules, trimmed, tooLong } = packPatterns(["tracker", "metrics", "adverts", "x".repeat(100)], {
+            budget: clause * 3 + 4,
+            maxLength: clause * 2 + 4,
+        });
+
+        assert.deepEqual(rules, [["tracker", "metrics"], ["adverts"]]);
+        assert.equal(trimmed, 0);
+        assert.equal(tooLong, 1);
+        assert.equal(packPatterns(["tracker", "metrics"], { budget: clause, maxLength: clause }).trimmed, 1);
+    });
+});
+
+describe("parseFilterList", () => {
+    it("reads wildcard and regex rules of Adblock and domain lists", () => {
+        const { entries, unsupported } = parseFilterList([
+            "||ads*.example.com^",
+            "/^ad[0-9]+\\.example\\.com$/$important",
+            "@@/^ad1\\./",
+            "||example.org^",
+        ].join("\n"));
+
+        assert.deepEqual(entries.map(({ wildcard, regex, subtree }) => ({ wildcard, regex, subtree })), [
+            { wildcard: "ads*.example.com", regex: undefined, subtree: true },
+            { wildcard: undefined, regex: "^ad[0-9]+\\.example\\.com$", subtree: false },
+            { wildcard: undefined, regex: undefined, subtree: true },
+        ]);
+        assert.equal(entries[1].modifiers.important, true);
+        // Exceptions can't be carved out of a pattern
+        assert.equal(unsupported, 1);
+        assert.deepEqual(parseFilterList("*tracker*\nexample.com", "domains").entries[0].wildcard, "*tracker*");
+    });
+});
@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { analyzeSources, formatSourceReportMarkdown } from "../lib/report.js";
+
+/**
+ * Builds what a source contained.
+ * @param {string} location The location of the source.
+ * @param {string[]} domains The domains of the source.
+ * @param {Object} [overrides] Other properties.
+ * @returns {import("../lib/compile.js").SourceContents}
+ */
+const makeSource = (location, domains, overrides = {}) => ({
+    location,
+    kind: "blocklist",
+    format: "domains",
+    lines: domains.length,
+    rules: domains.length,
+    invalid: 0,
+    unsupported: 0,
+    domains: new Set(domains),
+    ips: 0,
+    urls: 0,
+    error: null,
+    ...overrides,
+});
+
+describe("analyzeSources", () => {
+    const contents = [
+        makeSource("a", ["ads.example.com", "shared.example.net", "x.parent.org", "parent.org", "cdn.good.com"]),
+        makeSource("b", ["shared.example.net", "only-b.example.com"]),
+        makeSource("c", ["shared.example.net"]),
+        makeSource("allow", ["good.com", "unused.com"], { kind: "allowlist" }),
+    ];
+    const compiled = {
+        allowed: new Map([["cdn.good.com", ["good.com"]]]),
+        collapsed: new Set(["x.parent.org"]),
+        dropped: [{ domain: "only-b.example.com", reason: "budget", score: 1 }],
+        block: ["ads.example.com", "shared.example.net", "parent.org"],
+    };
+    const [a, b, c, allow] = analyzeSources(contents, compiled);
+
+    it("counts the unique and shared domains of every source", () => {
+        assert.equal(a.unique, 2);
+        assert.equal(a.overlap, 1);
+        assert.deepEqual(a.overlapBySource, { b: 1, c: 1 });
+        // Dropped domains aren't blocked, so they aren't a unique contribution
+        assert.equal(b.unique, 0);
+        assert.equal(c.unique, 0);
+        assert.deepEqual(c.overlapBySource, { a: 1, b: 1 });
+    });
+
+    it("counts the allowlisted, collapsed and dropped domains", () => {
+        assert.deepEqual([a.allowlisted, a.collapsed, a.dropped], [1, 1, 0]);
+        assert.deepEqual([b.allowlisted, b.collapsed, b.dropped], [0, 0, 1]);
+        assert.equal(allow.allowlisted, 1);
+        assert.equal(allow.unique, 2);
+    });
+
+    it("lists the most common top-level domains", () => {
+        assert.deepEqual(a.topTlds, [{ tld: "com", count: 2 }, { tld: "org", count: 2 }, { tld: "net", count: 1 }]);
+    });
+});
+
+describe("formatSourceReportMarkdown", () => {
+    it("prints a table per profile and points out redundant blocklists", () => {
+        const report = {
+            default: analyzeSources([
+                makeSource("https://example.org/a|b.txt", ["a.example.com"]),
+                makeSource("https://example.org/copy.txt", ["a.example.com"]),
+                makeSource("https://example.org/down.txt", [], { format: null, error: "HTTP 404" }),
+            ], { allowed: new Map(), collapsed: new Set(), dropped: [], block: ["a.example.com"] }),
+        };
+
+        const lines = formatSourceReportMarkdown(report).split("\n");
+
+        assert.ok(lines.includes("### Profile `default`"));
+        assert.ok(lines.includes("| https://example.org/a\\|b.txt | blocklist | domains | 1 | 1 | 0 | 0 | 0 | 0 | 1 | 0 | 0 | 0 | .com (1) |"));
+        assert.ok(lines.some((line) => line.startsWith("| https://example.org/down.txt | blocklist | ⚠ failed: HTTP 404 |")));
+        assert.ok(lines.includes(
+            "Blocklists without unique domains: `https://example.org/a|b.txt`, `https://example.org/copy.txt`"
+        ));
+    });
+});
@@ -0,0 +1,632 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { createServer } from "node:http";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { createMockGateway, serveMockGateways } from "./mock-gateway.js";
+
+const CLI = fileURLToPath(new URL("../bin/cgps.js", import.meta.url));
+const ACCOUNT_ID = "account";
+const API_TOKEN = "token";
+
+/**
+ * Builds numbered test domains.
+ * @param {number} count The number of domains.
+ * @param {string} [prefix="d"] The prefix of every domain.
+ * @returns {string[]}
+ */
+const makeDomains = (count, prefix = "d") => Array.from({ length: count }, (_, index) => `${prefix}${index}.example.org`);
+
+describe("cgps against the mock Gateway API", () => {
+    const gateway = createMockGateway({ accountId: ACCOUNT_ID, token: API_TOKEN, maxPerPage: 100 });
+    // A second account, served next to the first one for syncs to several accounts
+    const otherGateway = createMockGateway({ accountId: "other", token: "other-token", maxPerPage: 100 });
+    const accountsServer = serveMockGateways([gateway, otherGateway]);
+    let host;
+    let accountsHost;
+    let directory;
+
+    /**
+     * Runs the CLI in the test directory, with the blocklist and allowlist files as its only sources.
+     * @param {string[]} args The arguments.
+     * @param {Object} [env] Additional environment variables.
+     * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+     */
+    const cgps = (args, env = {}) => new Promise((resolve) => {
+        execFile(process.execPath, [CLI, ...args], {
+            cwd: directory,
+            timeout: 60000,
+            // The environment running the tests must not leak into the runs, e.g. notification channels
+            env: {
+                CLOUDFLARE_API_HOST: host,
+                CLOUDFLARE_ACCOUNT_ID: ACCOUNT_ID,
+                CLOUDFLARE_API_TOKEN: API_TOKEN,
+                BLOCKLIST_URLS: "file://blocklist.txt",
+                ALLOWLIST_URLS: "file://allowlist.txt",
+                RETRY_BASE_DELAY: "10",
+                CLOUDFLARE_API_RATE_LIMIT: "1000",
+                ...env,
+            },
+        }, (error, stdout, stderr) => resolve({ code: error ? error.code ?? 1 : 0, stdout, stderr }));
+    });
+
+    /**
+     * Runs the CLI and fails the test if it fails.
+     * @param {string[]} args The arguments.
+     * @param {Object} [env] Additional environment variables.
+     * @returns {Promise<string>} The output.
+     */
+    const cgpsOk = async (args, env) => {
+        const { code, stdout, stderr } = await cgps(args, env);
+        assert.equal(code, 0, `cgps ${args.join(" ")} failed:\n${stderr}`);
+        return stdout;
+    };
+
+    const writeSources = async (blocklist, allowlist = []) => {
+        await writeFile(join(directory, "blocklist.txt"), `${blocklist.join("\n")}\n`);
+        await writeFile(join(directory, "allowlist.txt"), `${allowlist.join("\n")}\n`);
+    };
+
+    const getCgpsLists = (mock = gateway) => [...mock.lists.values()]
+        .filter(({ name }) => name.startsWith("CGPS"))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    const getDeployedDomains = (mock = gateway) => getCgpsLists(mock).flatMap(({ id }) => mock.getItems(id)).sort();
+    const getRule = (name, mock = gateway) => [...mock.rules.values()].find((rule) => rule.name === name);
+    const getListWrites = () => gateway.requests.filter(({ method, path }) => method !== "GET" && path.startsWith("/lists"));
+
+    before(async () => {
+        host = await gateway.listen();
+        accountsHost = await accountsServer.listen();
+    });
+
+    after(async () => {
+        await gateway.close();
+        await accountsServer.close();
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        gateway.reset();
+        otherGateway.reset();
+        if (directory) await rm(directory, { recursive: true, force: true });
+        directory = await mkdtemp(join(tmpdir(), "cgps-test-"));
+    });
+
+    it("creates chunked lists and the rule on the first sync", async () => {
+        const domains = makeDomains(2500);
+        await writeSources(domains, ["d5.example.org"]);
+
+        await cgpsOk(["sync"]);
+
+        const lists = getCgpsLists();
+        assert.deepEqual(lists.map(({ name }) => name), ["CGPS List - Chunk 1", "CGPS List - Chunk 2", "CGPS List - Chunk 3"]);
+        assert.deepEqual(getDeployedDomains(), domains.filter((domain) => domain !== "d5.example.org").sort());
+
+        const rule = getRule("CGPS Filter Lists");
+        assert.equal(rule.action, "block");
+        assert.equal(rule.enabled, true);
+        assert.deepEqual(rule.filters, ["dns"]);
+        for (const { id } of lists) assert.match(rule.traffic, new RegExp(`\\$${id}\\b`));
+    });
+
+    it("only appends and removes the changed domains on a re-sync", async () => {
+        const domains = makeDomains(2500);
+        await writeSources(domains);
+        await cgpsOk(["sync"]);
+        const ids = getCgpsLists().map(({ id }) => id);
+
+        const changed = [...domains.slice(10), ...makeDomains(5, "new")];
+        await writeSources(changed);
+        gateway.requests.length = 0;
+        // Snapshots would fetch the items a second time
+        await cgpsOk(["sync"], { SNAPSHOT_BEFORE_SYNC: "0" });
+
+        assert.deepEqual(getCgpsLists().map(({ id }) => id), ids);
+        assert.deepEqual(getDeployedDomains(), [...changed].sort());
+        assert.ok(getListWrites().every(({ method }) => method === "PATCH"));
+
+        // 1000 items at 100 per page
+        const itemPages = gateway.requests.filter(({ path }) => path === `/lists/${ids[0]}/items`);
+        assert.equal(itemPages.length, 10);
+    });
+
+    it("doesn't touch the lists when nothing changed", async () => {
+        await writeSources(makeDomains(1500));
+        await cgpsOk(["sync"]);
+
+        gateway.requests.length = 0;
+        await cgpsOk(["sync"]);
+
+        assert.deepEqual(getListWrites(), []);
+    });
+
+    it("places the allow rule right before the block rule only where there's room", async () => {
+        await writeSources(makeDomains(10), ["d1.example.org"]);
+        await fetch(`${host}/accounts/${ACCOUNT_ID}/gateway/rules`, {
+            method: "POST",
+            headers: { Authorization: `Bearer ${API_TOKEN}`, "Content-Type": "application/json" },
+            body: JSON.stringify({ name: "My Rule", action: "block", filters: ["dns"], traffic: "dns.fqdn == \"mine.example.org\"", precedence: 9 }),
+        });
+        const env = { PUBLISH_ALLOWLIST: "1" };
+
+        for (const precedence of ["1", "10"]) {
+            const { code, stderr } = await cgps(["sync"], { ...env, RULE_PRECEDENCE: precedence });
+            assert.notEqual(code, 0);
+            assert.match(stderr, new RegExp(`No room for the allow rule "CGPS Allow Lists" right before the block rule at precedence ${precedence}: set allowPrecedence \\(ALLOW_RULE_PRECEDENCE\\)`));
+        }
+
+        await cgpsOk(["sync"], { ...env, RULE_PRECEDENCE: "20" });
+        assert.equal(getRule("CGPS Filter Lists").precedence, 20);
+        assert.equal(getRule("CGPS Allow Lists").precedence, 19);
+    });
+
+    it("keeps the domains listed by the most sources within the item limit", async () => {
+        await writeSources(makeDomains(2500));
+
+        await cgpsOk(["sync"], { CLOUDFLARE_LIST_ITEM_LIMIT: "1000" });
+
+        assert.equal(getCgpsLists().length, 1);
+        assert.equal(getDeployedDomains().length, 1000);
+    });
+
+    it("blocks IP sources with an IP list and rules on resolved and destination IPs", async () => {
+        await writeSources(makeDomains(10));
+        await writeFile(join(directory, "ips.txt"), [
+            "# Netset",
+            "192.0.2.0/25",
+            "192.0.2.128/25",
+            "192.0.2.7",
+            "198.51.100.1/24 ; SBL1",
+            "2001:DB8:0::1",
+            "300.0.0.1",
+        ].join("\n"));
+        const env = { BLOCKLIST_URLS: "file://blocklist.txt\nfile://ips.txt" };
+
+        await cgpsOk(["sync"], env);
+
+        const ipList = getCgpsLists().find(({ name }) => name === "CGPS IP List - Chunk 1");
+        assert.equal(ipList.type, "IP");
+        assert.deepEqual(gateway.getItems(ipList.id), ["192.0.2.0/24", "198.51.100.0/24", "2001:db8::1"]);
+        assert.equal(getRule("CGPS Filter Lists - Resolved IPs").traffic, `any(dns.resolved_ips[*] in $${ipList.id})`);
+        const networkRule = getRule("CGPS Filter Lists - IP Based Filtering");
+        assert.deepEqual(networkRule.filters, ["l4"]);
+        assert.equal(networkRule.traffic, `net.dst.ip in $${ipList.id}`);
+        assert.ok(!getRule("CGPS Filter Lists").traffic.includes(ipList.id));
+
+        // Without IP sources, the IP list and its rules are removed
+        await cgpsOk(["sync"]);
+
+        assert.deepEqual(getCgpsLists().map(({ name }) => name), ["CGPS List - Chunk 1"]);
+        assert.equal(getRule("CGPS Filter Lists - Resolved IPs"), undefined);
+        assert.equal(getRule("CGPS Filter Lists - IP Based Filtering"), undefined);
+    });
+
+    it("blocks the URLs of path-specific rules with an HTTP rule when enabled", async () => {
+        await writeSources(makeDomains(10));
+        await writeFile(join(directory, "adblock.txt"), [
+            "! Title: Paths",
+            "||example.com/ads/*",
+            "|https://example.net/track.js|",
+            "||d1.example.org/banner",
+            "||ads.allowed.org/x",
+            "||cdn.example.com/",
+            "@@||example.net/track.js|",
+            "/banner.js",
+        ].join("\n"));
+        await writeFile(join(directory, "allowlist.txt"), "allowed.org\n");
+        const env = { BLOCKLIST_URLS: "file://blocklist.txt\nfile://adblock.txt", ALLOWLIST_URLS: "file://allowlist.txt" };
+
+        // URLs are unsupported unless HTTP filtering is enabled
+        await cgpsOk(["sync"], env);
+
+        assert.ok(!getCgpsLists().some(({ name }) => name.startsWith("CGPS URL List")));
+        assert.equal(getRule("CGPS Filter Lists - HTTP"), undefined);
+
+        await cgpsOk(["sync"], { ...env, BLOCK_BASED_ON_HTTP: "1" });
+
+        const urlList = getCgpsLists().find(({ name }) => name === "CGPS URL List - Chunk 1");
+        assert.equal(urlList.type, "URL");
+        // URLs on blocked and allowed domains are skipped, a path of "/" blocks the whole domain
+        assert.deepEqual(gateway.getItems(urlList.id), ["example.com/ads/"]);
+        assert.ok(getDeployedDomains().includes("cdn.example.com"));
+        const httpRule = getRule("CGPS Filter Lists - HTTP");
+        assert.deepEqual(httpRule.filters, ["http"]);
+        assert.equal(httpRule.traffic, `http.request.uri in $${urlList.id}`);
+    });
+
+    it("compiles wildcard and regex rules into numbered regex rules", async () => {
+        await writeSources(makeDomains(10));
+        await writeFile(join(directory, "adblock.txt"), [
+            "||ads*.example.com^",
+            "/^ad[0-9]+\\.example\\.net$/",
+            "/^(?!www)track\\./",
+            "*ad*",
+        ].join("\n"));
+        const env = {
+            BLOCKLIST_URLS: "file://blocklist.txt\nfile://adblock.txt",
+            REGEX_RULE_BUDGET: "1000",
+            RULE_EXPRESSION_MAX_LENGTH: "80",
+        };
+
+        const stdout = await cgpsOk(["sync"], env);
+
+        assert.match(stdout, /Wildcard and regex rules rejected: 2 \(lookarounds aren't supported by RE2: 1, too broad: 1\)/);
+        assert.equal(getRule("CGPS Filter Lists - Regex 1").traffic, String.raw`any(dns.domains[*] matches "(?:^|\\.)ads.*\\.example\\.com$")`);
+        const second = getRule("CGPS Filter Lists - Regex 2");
+        assert.deepEqual(second.filters, ["dns"]);
+        assert.equal(second.traffic, String.raw`any(dns.domains[*] matches "^ad[0-9]+\\.example\\.net$")`);
+
+        // Rules no longer needed are deleted
+        await writeFile(join(directory, "adblock.txt"), "||ads*.example.com^\n");
+        await cgpsOk(["sync"], env);
+
+        assert.ok(getRule("CGPS Filter Lists - Regex 1"));
+        assert.equal(getRule("CGPS Filter Lists - Regex 2"), undefined);
+    });
+
+    it("splits rules referencing more lists than fit in an expression into numbered parts", async () => {
+        await writeSources(makeDomains(2500));
+        const env = { RULE_EXPRESSION_MAX_LENGTH: "130" };
+
+        await cgpsOk(["sync"], env);
+
+        const [first, second, third] = ["Chunk 1", "Chunk 2", "Chunk 3"]
+            .map((chunk) => getCgpsLists().find(({ name }) => name === `CGPS List - ${chunk}`));
+        const rule = getRule("CGPS Filter Lists");
+        const part = getRule("CGPS Filter Lists - Part 2");
+        assert.equal(rule.traffic, `any(dns.domains[*] in $${first.id}) or any(dns.domains[*] in $${second.id})`);
+        assert.equal(part.traffic, `any(dns.domains[*] in $${third.id})`);
+        assert.equal(part.precedence, rule.precedence + 1);
+
+        // Parts no longer needed are deleted
+        await writeSources(makeDomains(1500, "e"));
+        await cgpsOk(["sync"], env);
+
+        assert.equal(getRule("CGPS Filter Lists - Part 2"), undefined);
+        assert.equal(getRule("CGPS Filter Lists").traffic.split(" or ").length, 2);
+    });
+
+    it("keeps the queried domains first when Gateway analytics are enabled", async () => {
+        await writeSources(makeDomains(2500));
+        gateway.queries.push(
+            { queryName: "d2400.example.org", resolverDecision: 5, count: 3 },
+            { queryName: "www.d2499.example.org", resolverDecision: 5, count: 1 },
+            { queryName: "d2498.example.org", resolverDecision: 5, count: 1, datetime: "2000-01-01T00:00:00Z" }
+        );
+
+        await cgpsOk(["sync", "--analytics"], { CLOUDFLARE_LIST_ITEM_LIMIT: "1000" });
+
+        const deployed = getDeployedDomains();
+        assert.equal(deployed.length, 1000);
+        // Queries of subdomains count for their blocked parent, queries outside the window don't count
+        assert.ok(deployed.includes("d2400.example.org"));
+        assert.ok(deployed.includes("d2499.example.org"));
+        assert.ok(!deployed.includes("d2498.example.org"));
+    });
+
+    it("syncs without Gateway analytics when they can't be fetched", async () => {
+        await writeSources(makeDomains(10));
+        gateway.fail({ method: "POST", path: "/graphql", status: 403 });
+
+        const { code, stderr } = await cgps(["sync", "--analytics"]);
+
+        assert.equal(code, 0);
+        assert.match(stderr, /Failed to fetch Gateway analytics, domains are selected without them: POST \/graphql failed with HTTP 403/);
+        assert.equal(getDeployedDomains().length, 10);
+    });
+
+    it("waits for the Retry-After delay when rate limited", async () => {
+        await writeSources(makeDomains(10));
+        gateway.fail({ method: "GET", path: "/rules", status: 429, retryAfter: 1 });
+
+        await cgpsOk(["sync"]);
+
+        assert.ok(gateway.requests.some(({ status }) => status === 429));
+        assert.equal(getDeployedDomains().length, 10);
+    });
+
+    it("gives up once rate limits would take too long", async () => {
+        await writeSources(makeDomains(10));
+        gateway.fail({ method: "GET", path: "/rules", status: 429, retryAfter: 5, times: Infinity });
+
+        const { code, stderr } = await cgps(["sync"], { CLOUDFLARE_API_MAX_RATE_LIMIT_WAIT: "2" });
+
+        assert.equal(code, 1);
+        assert.match(stderr, /Rate limited for 5s in total, giving up after 2s/);
+    });
+
+    it("refuses API limits that would start no requests", async () => {
+        const { code, stderr } = await cgps(["status"], { CLOUDFLARE_API_CONCURRENCY: "four" });
+
+        assert.equal(code, 1);
+        assert.match(stderr, /Invalid CLOUDFLARE_API_CONCURRENCY "four": use a positive whole number/);
+
+        for (const [name, value] of [["CLOUDFLARE_API_RATE_LIMIT", "0"], ["CLOUDFLARE_API_TIMEOUT", "-1"], ["CLOUDFLARE_API_MAX_RATE_LIMIT_WAIT", "ten"]]) {
+            const result = await cgps(["status"], { [name]: value });
+            assert.equal(result.code, 1);
+            assert.match(result.stderr, new RegExp(`Invalid ${name} "${value}": use a positive number`));
+        }
+    });
+
+    it("retries requests that fail temporarily", async () => {
+        await writeSources(makeDomains(10));
+        await cgpsOk(["sync"]);
+
+        await writeSources(makeDomains(20));
+        gateway.fail({ method: "PATCH", status: 500, times: 2 });
+        await cgpsOk(["sync"]);
+
+        assert.equal(getDeployedDomains().length, 20);
+    });
+
+    it("keeps the cached copy of a remote source that comes back empty or without rules", async () => {
+        let body = `${makeDomains(10).join("\n")}\n`;
+        const server = createServer((request, response) => response.end(body));
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const env = { BLOCKLIST_URLS: `http://127.0.0.1:${server.address().port}/hosts.txt`, SNAPSHOT_BEFORE_SYNC: "0" };
+
+        try {
+            await writeSources([]);
+            await cgpsOk(["sync"], env);
+
+            for (body of ["", "<!DOCTYPE html>\n<html><body>Down for maintenance</body></html>\n"]) {
+                const { code, stderr } = await cgps(["sync"], env);
+                assert.equal(code, 0, stderr);
+                assert.match(stderr, /Using the cached copy/);
+                assert.deepEqual(getDeployedDomains(), makeDomains(10).sort());
+            }
+        } finally {
+            server.closeAllConnections();
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+
+    it("keeps the live lists when a rollout fails", async () => {
+        await writeSources(makeDomains(2500));
+        await cgpsOk(["sync"]);
+        const ids = getCgpsLists().map(({ id }) => id);
+        const { traffic } = getRule("CGPS Filter Lists");
+
+        await writeSources(makeDomains(2500, "other"));
+        gateway.fail({ method: "POST", path: "/lists", after: 1, times: Infinity });
+        const { code } = await cgps(["sync", "--mode", "rollout"]);
+
+        assert.equal(code, 1);
+        assert.deepEqual(getCgpsLists().map(({ id }) => id), ids);
+        assert.equal(getRule("CGPS Filter Lists").traffic, traffic);
+        assert.deepEqual(getDeployedDomains(), makeDomains(2500).sort());
+    });
+
+    it("aborts without changes when the safety checks fail", async () => {
+        await writeSources(makeDomains(100));
+        await cgpsOk(["sync"]);
+
+        await writeSources(makeDomains(10));
+        gateway.requests.length = 0;
+        const { code } = await cgps(["sync", "--max-shrink", "50"]);
+
+        assert.equal(code, 3);
+        assert.deepEqual(getListWrites(), []);
+        assert.equal(getDeployedDomains().length, 100);
+    });
+
+    it("adds the source report to the job summary", async () => {
+        await writeSources([...makeDomains(10), "bad..domain"], ["d0.example.org"]);
+        const summary = join(directory, "summary.md");
+
+        await cgpsOk(["sync", "--source-report", "sources.json"], { GITHUB_STEP_SUMMARY: summary });
+
+        const report = JSON.parse(await readFile(join(directory, "sources.json"), "utf8"));
+        const [blocklist, allowlist] = report.default;
+        assert.equal(blocklist.location, "file://blocklist.txt");
+        assert.deepEqual([blocklist.lines, blocklist.domains, blocklist.invalid], [11, 10, 1]);
+        assert.deepEqual([blocklist.unique, blocklist.allowlisted], [9, 1]);
+        assert.equal(allowlist.allowlisted, 1);
+        assert.match(await readFile(summary, "utf8"), /^\| file:\/\/blocklist\.txt \| blocklist \| domains \| 11 \| 10 \| 0 \| 0 \| 1 \| 9 \|/m);
+    });
+
+    it("restores the snapshot taken before a sync", async () => {
+        await writeSources(makeDomains(1500));
+        await cgpsOk(["sync"]);
+        const domains = getDeployedDomains();
+
+        await writeSources(makeDomains(500, "other"));
+        await cgpsOk(["sync", "--mode", "rollout"]);
+        assert.notDeepEqual(getDeployedDomains(), domains);
+
+        await cgpsOk(["restore", "--yes"]);
+
+        assert.deepEqual(getDeployedDomains(), domains);
+        const listIds = getCgpsLists().map(({ id }) => id);
+        for (const id of listIds) assert.match(getRule("CGPS Filter Lists").traffic, new RegExp(`\\$${id}\\b`));
+    });
+
+    it("syncs to every account, even if one of them fails", async () => {
+        await writeSources(makeDomains(1500));
+        await writeFile(join(directory, "cgps.config.json"), JSON.stringify({
+            accounts: [
+                { name: "main", accountId: ACCOUNT_ID, apiTokenEnv: "MAIN_TOKEN", blockPage: true },
+                { name: "broken", accountIdEnv: "BROKEN_ACCOUNT_ID", apiTokenEnv: "BROKEN_TOKEN" },
+                { name: "other", accountIdEnv: "OTHER_ACCOUNT_ID", apiTokenEnv: "OTHER_TOKEN", listItemLimit: 1000, sni: true },
+            ],
+        }));
+        const env = {
+            CLOUDFLARE_API_HOST: accountsHost,
+            CLOUDFLARE_ACCOUNT_ID: "",
+            CLOUDFLARE_API_TOKEN: "",
+            MAIN_TOKEN: API_TOKEN,
+            OTHER_ACCOUNT_ID: "other",
+            OTHER_TOKEN: "other-token",
+        };
+
+        const { code, stderr } = await cgps(["sync"], env);
+
+        assert.equal(code, 1);
+        assert.match(stderr, /Sync failed for 1 of 3 accounts:\n• broken: Missing credentials of account "broken"/);
+        assert.deepEqual(getDeployedDomains(), makeDomains(1500).sort());
+        assert.equal(getRule("CGPS Filter Lists").rule_settings.block_page_enabled, true);
+        assert.deepEqual(getDeployedDomains(otherGateway), makeDomains(1500).sort().slice(0, 1000).sort());
+        assert.equal(getRule("CGPS Filter Lists - SNI Based Filtering", otherGateway).enabled, true);
+        assert.equal(getRule("CGPS Filter Lists - SNI Based Filtering"), undefined);
+
+        // Other commands act on a single account
+        assert.equal((await cgps(["status"], env)).code, 2);
+        assert.match(await cgpsOk(["status", "--account", "other"], env), /1000 of 1000 list items used/);
+    });
+
+    it("scopes the rules of profiles to schedules, identities, locations and device posture", async () => {
+        const location = "0f2b6c7e8a9d4e3f9a1b2c3d4e5f6a7b";
+        const check = "5d1e6c2a-3b4f-4a8e-9c7d-1e2f3a4b5c6d";
+        await writeSources(makeDomains(100));
+        const writeConfig = (family) => writeFile(join(directory, "cgps.config.json"), JSON.stringify({
+            profiles: [
+                { name: "office", blocklists: ["file://blocklist.txt"] },
+                { name: "family", blocklists: ["file://blocklist.txt"], ...family },
+            ],
+        }));
+        const family = {
+            schedule: { timeZone: "Europe/Berlin", mon: "09:00-17:00", fri: "09:00-12:00,13:00-17:00" },
+            identity: { emails: ["kid@example.org"], groups: ["Kids"] },
+            locations: [location],
+            devicePosture: [check],
+        };
+
+        // SNI filtering enabled for every profile leaves out those limited to DNS rules
+        await writeConfig(family);
+        await cgpsOk(["sync"], { BLOCK_BASED_ON_SNI: "1" });
+
+        const rule = getRule("CGPS [family] Filter Lists");
+        assert.match(rule.traffic, new RegExp(`^\\(any\\(dns\\.domains\\[\\*\\] in \\$[\\w-]+\\)\\) and dns\\.location in \\{"${location}"\\}$`));
+        assert.equal(rule.identity, "identity.email in {\"kid@example.org\"} or any(identity.groups.name[*] in {\"Kids\"})");
+        assert.equal(rule.device_posture, `any(device_posture.checks.passed[*] in {"${check}"})`);
+        assert.deepEqual(rule.schedule, { time_zone: "Europe/Berlin", mon: "09:00-17:00", fri: "09:00-12:00,13:00-17:00" });
+        assert.equal(getRule("CGPS [office] Filter Lists").identity, "");
+        assert.equal(getRule("CGPS [office] Filter Lists").schedule, null);
+        assert.equal(getRule("CGPS [office] Filter Lists - SNI Based Filtering").enabled, true);
+        assert.equal(getRule("CGPS [family] Filter Lists - SNI Based Filtering"), undefined);
+
+        // Disabled rules keep their traffic and targeting
+        await writeConfig({ ...family, enabled: false });
+        await cgpsOk(["sync"], { BLOCK_BASED_ON_SNI: "1" });
+        const disabled = getRule("CGPS [family] Filter Lists");
+        assert.equal(disabled.enabled, false);
+        assert.deepEqual(
+            { traffic: disabled.traffic, identity: disabled.identity, device_posture: disabled.device_posture, schedule: disabled.schedule },
+            { traffic: rule.traffic, identity: rule.identity, device_posture: rule.device_posture, schedule: rule.schedule }
+        );
+
+        // Removing the schedule clears it from the rule
+        await writeConfig({ ...family, schedule: undefined });
+        await cgpsOk(["sync"]);
+        assert.equal(getRule("CGPS [family] Filter Lists").schedule, null);
+        assert.equal(getRule("CGPS [family] Filter Lists").identity, rule.identity);
+
+        // Invalid targeting is refused before anything is uploaded
+        await writeConfig({ ...family, schedule: { timeZone: "Europe/Berlin", mon: "17:00-09:00" } });
+        const invalid = await cgps(["sync"]);
+        assert.notEqual(invalid.code, 0);
+        assert.match(invalid.stderr, /Invalid schedule "17:00-09:00" for mon in profile "family"/);
+
+        await writeConfig({ ...family, sni: true });
+        const sni = await cgps(["sync"]);
+        assert.notEqual(sni.code, 0);
+        assert.match(sni.stderr, /Profile "family" targets locations, which only DNS rules can match: set sni to false/);
+        assert.equal(getRule("CGPS [family] Filter Lists - SNI Based Filtering"), undefined);
+    });
+
+    it("configures the action of every profile with its settings", async () => {
+        await writeSources(makeDomains(100));
+        await writeFile(join(directory, "ips.txt"), "192.0.2.0/24\n");
+        const writeConfig = (sinkhole, accounts) => writeFile(join(directory, "cgps.config.json"), JSON.stringify({
+            profiles: [
+                { name: "ads", blocklists: ["file://blocklist.txt"], blockReason: "Ads are blocked", blockPageUrl: "https://block.example.org/" },
+                { name: "search", blocklists: ["file://blocklist.txt"], action: "safesearch" },
+                { name: "sinkhole", blocklists: ["file://blocklist.txt", "file://ips.txt"], action: "override", ...sinkhole },
+            ],
+            accounts,
+        }));
+
+        // SNI filtering enabled for every profile leaves out those limited to DNS rules
+        await writeConfig({ overrideIps: ["192.0.2.1", "2001:db8::1"] });
+        await cgpsOk(["sync"], { BLOCK_BASED_ON_SNI: "1" });
+
+        assert.deepEqual(getRule("CGPS [ads] Filter Lists").rule_settings, {
+            block_page_enabled: true,
+            block_reason: "Ads are blocked",
+            block_page: { target_uri: "https://block.example.org/", include_context: true },
+        });
+        assert.equal(getRule("CGPS [ads] Filter Lists - SNI Based Filtering").enabled, true);
+        assert.equal(getRule("CGPS [search] Filter Lists").action, "safesearch");
+        assert.deepEqual(getRule("CGPS [search] Filter Lists").rule_settings, {});
+        assert.equal(getRule("CGPS [search] Filter Lists - SNI Based Filtering"), undefined);
+        assert.equal(getRule("CGPS [sinkhole] Filter Lists").action, "override");
+        assert.deepEqual(getRule("CGPS [sinkhole] Filter Lists").rule_settings, { override_ips: ["192.0.2.1", "2001:db8::1"] });
+        // Resolved IPs can't be overridden anymore, so they're blocked
+        assert.equal(getRule("CGPS [sinkhole] Filter Lists - Resolved IPs").action, "block");
+        assert.equal(getRule("CGPS [sinkhole] Filter Lists - IP Based Filtering"), undefined);
+
+        // Invalid combinations are refused before anything is uploaded
+        const rules = JSON.stringify([...gateway.rules.values()]);
+        for (const [sinkhole, error] of [
+            [{}, /Profile "sinkhole" uses the override action: give either overrideIps or overrideHost/],
+            [{ overrideIps: ["192.0.2.0/24"] }, /Invalid override IP "192.0.2.0\/24" in profile "sinkhole"/],
+            [{ overrideHost: "sinkhole.example.org", blockReason: "Nope" }, /Profile "sinkhole" has blockReason, which only applies to the block action, not override/],
+            [{ overrideHost: "sinkhole.example.org", sni: true }, /Profile "sinkhole" uses the override action, which only DNS rules support: set sni to false/],
+        ]) {
+            await writeConfig(sinkhole);
+            const { code, stderr } = await cgps(["sync"]);
+            assert.notEqual(code, 0);
+            assert.match(stderr, error);
+        }
+        assert.equal(JSON.stringify([...gateway.rules.values()]), rules);
+
+        // Accounts can't drop the custom block page, but their SNI filtering leaves out the profiles limited to DNS rules
+        const env = { CLOUDFLARE_API_HOST: accountsHost, MAIN_TOKEN: API_TOKEN };
+        const account = { name: "main", accountId: ACCOUNT_ID, apiTokenEnv: "MAIN_TOKEN" };
+        await writeConfig({ overrideHost: "sinkhole.example.org" }, [{ ...account, blockPage: false }]);
+        const { code, stderr } = await cgps(["sync"], env);
+        assert.notEqual(code, 0);
+        assert.match(stderr, /Account "main" disables the block page, but profile "ads" has a blockPageUrl: remove one of them/);
+        assert.equal(JSON.stringify([...gateway.rules.values()]), rules);
+
+        await writeConfig({ overrideHost: "sinkhole.example.org" }, [{ ...account, sni: true }]);
+        await cgpsOk(["sync"], env);
+        assert.deepEqual(getRule("CGPS [sinkhole] Filter Lists").rule_settings, { override_host: "sinkhole.example.org" });
+        assert.equal(getRule("CGPS [sinkhole] Filter Lists - SNI Based Filtering"), undefined);
+
+        // Disabled rules keep the action and settings they were deployed with
+        await writeConfig({ action: "block", enabled: false });
+        await cgpsOk(["sync"]);
+        const disabled = getRule("CGPS [sinkhole] Filter Lists");
+        assert.equal(disabled.enabled, false);
+        assert.equal(disabled.action, "override");
+        assert.deepEqual(disabled.rule_settings, { override_host: "sinkhole.example.org" });
+    });
+
+    it("deletes every CGPS rule and list, and nothing else", async () => {
+        await writeSources(makeDomains(1500));
+        await cgpsOk(["sync"]);
+
+        const headers = { Authorization: `Bearer ${API_TOKEN}`, "Content-Type": "application/json" };
+        const gatewayUrl = `${host}/accounts/${ACCOUNT_ID}/gateway`;
+        await fetch(`${gatewayUrl}/lists`, {
+            method: "POST",
+            headers,
+            body: JSON.stringify({ name: "My List", type: "DOMAIN", items: [{ value: "mine.example.org" }] }),
+        });
+        await fetch(`${gatewayUrl}/rules`, {
+            method: "POST",
+            headers,
+            body: JSON.stringify({ name: "My Rule", action: "block", filters: ["dns"], traffic: "dns.fqdn == \"mine.example.org\"" }),
+        });
+
+        await cgpsOk(["delete", "--yes"]);
+
+        assert.deepEqual([...gateway.lists.values()].map(({ name }) => name), ["My List"]);
+        assert.deepEqual([...gateway.rules.values()].map(({ name }) => name), ["My Rule"]);
+    });
+});